@@ -0,0 +1,139 @@
+/* ============================================================
+ * HEADLESS TRAINING
+ * ------------------------------------------------------------
+ * Trains the configured agent (DQN, neuroevolution or tabular
+ * Q-learning, see agent.type) against FlappyEnv in Node, no browser,
+ * no rendering, tfjs CPU backend.
+ *
+ *   node scripts/train.js --episodes=500 --max-frames=5000 --seed=42
+ *     --preset=preset.json --agent.gamma=0.95 --sampling=per
+ *     --population.size=20 --reward=potential --curriculum
+ *   node scripts/train.js --episodes=500 --eval --report=report.json
+ *
+ * Any run-config key (dotted, see src/config.js) can be passed
+ * as --key=value; --preset loads a JSON preset first. --eval
+ * benchmarks the trained agent greedily afterwards (eval.* keys)
+ * and --report writes that report as JSON. --metrics=file.csv
+ * writes the per-episode metrics (same columns as the browser
+ * export). Each episode also logs its reward by term.
+ * --trace=file.json writes the best run as a replayable trace.
+ * --demos=file.json (one trace or an array, e.g. downloaded human
+ * runs) with --pretrain=bc|dqfd warm-starts the DQN before training.
+ * ============================================================ */
+
+import * as fs from 'fs';
+import { configFromParams, createConfig } from '../src/config.js';
+import { Curriculum } from '../src/env/curriculum.js';
+import { FlappyEnv } from '../src/env/flappy.js';
+import { TraceRecorder, checkTrace, describeTrace } from '../src/env/trace.js';
+import { formatRewardTerms } from '../src/env/rewards.js';
+import { createAgent } from '../src/rl/agents.js';
+import { DemoBuffer } from '../src/rl/demos.js';
+import { formatReport, runEvaluation } from '../src/rl/evaluate.js';
+import { MetricsRecorder, formatDeaths } from '../src/metrics/metrics.js';
+import { TraceStore } from '../src/storage/traceStore.js';
+import { deriveSeed } from '../src/util/random.js';
+
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => {
+      const [key, value = 'true'] = arg.slice(2).split('=');
+      return [key, value];
+    })
+);
+
+const episodes = Number(args.episodes ?? 100);
+const maxFrames = Number(args['max-frames']) || Infinity;
+const preset = args.preset ? JSON.parse(fs.readFileSync(args.preset, 'utf8')) : {};
+const config = createConfig(preset, configFromParams(Object.entries(args)));
+
+const main = async () => {
+  const agent = createAgent(config, { backend: 'cpu' });
+  const env = new FlappyEnv({ config });
+  const curriculum = new Curriculum(config);
+  const recorder = new TraceRecorder();
+  const traces = new TraceStore({ storage: null, keep: 1 });
+  const metrics = new MetricsRecorder({ storage: null, maxEpisodes: Infinity });
+  const seed = config.seed;
+  console.log('Run seed:', seed);
+
+  if (args.demos) {
+    const demos = new DemoBuffer(config);
+    const loaded = JSON.parse(fs.readFileSync(args.demos, 'utf8'));
+    (Array.isArray(loaded) ? loaded : [loaded]).forEach(trace => demos.addTrace(checkTrace(trace)));
+    console.log(`Demonstrations: ${demos.size()} transitions from ${demos.traceIds.size} runs`);
+    if (config.demo.pretrain === 'none') {
+      console.warn('demo.pretrain is none; pass --pretrain=bc or --pretrain=dqfd to use the demonstrations');
+    } else {
+      await agent.pretrain(demos);
+    }
+  }
+
+  let highScore = 0;
+  for (let episode = 1; episode <= episodes; episode++) {
+    env.difficulty = curriculum.difficulty();
+    env.reset(deriveSeed(seed, `episode:${episode}`));
+    const states = env.observeAll();
+    agent.resetEpisode(env.birds.length);
+    metrics.beginEpisode(episode);
+    if (args.trace) recorder.beginEpisode(env, { agentType: agent.type, label: agent.label, generation: episode });
+
+    while (!env.done && env.frame < maxFrames) {
+      const alive = env.birds.filter(bird => bird.alive).map(bird => bird.id);
+      const chosen = await agent.chooseActions(alive.map(id => states[id]), alive);
+      const actions = [];
+      alive.forEach((id, k) => {
+        actions[id] = chosen[k];
+      });
+
+      if (args.trace) recorder.recordStep(env, actions, env.actionRepeat);
+      const results = env.stepRepeat(actions, env.actionRepeat);
+      results.forEach((result, id) => {
+        if (!result) return;
+        agent.remember(states[id], actions[id], result.reward, result.state, result.done, id);
+        states[id] = result.state;
+      });
+      const loss = await agent.train();
+      metrics.recordStep(results, loss, agent.stats());
+    }
+    const row = metrics.endEpisode(env, agent.stats());
+    if (args.trace) {
+      const trace = recorder.endEpisode(env);
+      if (trace) traces.add(trace);
+    }
+    await agent.endEpisode(env.birds);
+
+    highScore = Math.max(highScore, env.score);
+    console.log(`Episode ${episode}: score ${env.score}, frames ${env.frame}, high ${highScore}, ${agent.summary()}`);
+    console.log(`  reward terms: ${formatRewardTerms(row.rewards)}`);
+    console.log(`  deaths: ${formatDeaths(row.deaths)}`);
+    if (curriculum.recordEpisode(env.score)) {
+      console.log(`  curriculum: level ${curriculum.level}/${curriculum.maxLevel}`);
+    }
+  }
+
+  if (args.metrics) {
+    fs.writeFileSync(args.metrics, metrics.toCSV());
+    console.log('Metrics written to', args.metrics);
+  }
+
+  if (args.trace && traces.traces.length > 0) {
+    fs.writeFileSync(args.trace, JSON.stringify(traces.traces[0]));
+    console.log(`Best run (${describeTrace(traces.traces[0])}) written to`, args.trace);
+  }
+
+  if (args.eval || args.report) {
+    const report = await runEvaluation(agent, config, { meta: { trainedEpisodes: episodes } });
+    console.log(formatReport(report));
+    if (args.report) {
+      fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+      console.log('Report written to', args.report);
+    }
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
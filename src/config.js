@@ -0,0 +1,362 @@
+/* ============================================================
+ * RUN CONFIGURATION
+ * ------------------------------------------------------------
+ * One object holds every tunable of a run: agent, replay,
+ * neuroevolution and tabular hyperparameters, reward preset and
+ * term weights, curriculum, world variants, episode recording,
+ * demonstrations, simulation speed, presentation and game
+ * physics.
+ * It is built from defaults + preset + URL/CLI overrides, shared
+ * by reference (env, agent and scene read it live) and saved
+ * with every brain.
+ *
+ * Overrides use dotted keys, e.g. ?agent.gamma=0.95&physics.gravity=1200
+ * ============================================================ */
+
+import { REWARD_PRESET_NAMES } from './env/rewards.js';
+import { SAMPLING_STRATEGIES } from './rl/replay.js';
+import { SCHEDULE_SHAPES, SCHEDULE_UNITS } from './rl/schedules.js';
+import { parseSeed } from './util/random.js';
+
+/* ------------------------------------------------------------
+ * DEFAULTS
+ * ------------------------------------------------------------ */
+export const DEFAULT_CONFIG = {
+  seed: null, // null = sorteia um novo
+  agent: {
+    type: 'dqn', // 'dqn' | 'neuro' | 'tabular'
+    gamma: 0.99, // Discount Factor
+    exploration: 'epsilon', // 'epsilon' | 'boltzmann' (softmax sobre Q) | 'noisy' (camadas NoisyNet)
+    epsilonStart: 0.5,
+    epsilonMin: 0.001,
+    epsilonSchedule: 'exponential', // 'constant' | 'exponential' | 'linear' | 'cosine' (ver rl/schedules.js)
+    epsilonUnit: 'step', // 'step' (passo de treino) | 'episode'
+    epsilonDecay: 0.9995, // Por unidade, no 'exponential'
+    epsilonSteps: 20000, // Duração do 'linear' e do 'cosine', em unidades
+    epsilonWarmup: 0, // Unidades paradas em epsilonStart antes de cair
+    temperatureStart: 1, // Boltzmann: a temperatura segue o schedule do epsilon
+    temperatureMin: 0.01,
+    noisySigma: 0.5, // σ0 das camadas NoisyNet (só vale para um cérebro novo)
+    batchSize: 64,
+    learningRate: 0.002, // Learning rate menor para convergência suave
+    lrSchedule: 'constant', // Mesmas formas do epsilon, de learningRate até lrMin
+    lrUnit: 'step',
+    lrMin: 0.0001,
+    lrDecay: 0.9999,
+    lrSteps: 100000,
+    lrWarmup: 0, // Unidades subindo de 0 até learningRate
+    targetUpdateFreq: 500, // Atualiza target network com menos frequência
+    trainThrottle: 2, // Treina a cada N passos para evitar sobrecarga
+    doubleDQN: false, // Online net escolhe a ação, target net avalia
+    dueling: false, // Cabeça V(s) + A(s,a) - mean(A)
+    nStep: 1, // 1 = DQN clássico
+    worker: true, // Treina num Web Worker (só no browser)
+    weightSyncInterval: 50 // Passos de treino entre cópias de pesos pro thread principal
+  },
+  replay: {
+    size: 30000,
+    sampling: 'recent', // 'uniform' | 'recent' | 'reward' | 'per'
+    alpha: 0.6, // Quanto a prioridade pesa (0 = uniforme)
+    alphaEnd: 0.6,
+    beta: 0.4, // Correção de viés por importance sampling, anelada até betaEnd
+    betaEnd: 1.0,
+    annealSteps: 100000, // Em passos de treino
+    persistEvery: 20 // Salva o buffer no IndexedDB a cada N episódios e ao salvar um slot (0 = nunca)
+  },
+  observation: {
+    mode: 'features', // 'features' (7 números) | 'pixels' (só DQN, rede convolucional)
+    width: 48, // Resolução da imagem reduzida do mundo 1024x768
+    height: 36,
+    frameStack: 4, // Últimos N quadros empilhados como canais
+    normalize: false, // Média/variância contínuas por feature (só DQN com features); salvas com o cérebro
+    normalizeClip: 5 // Corta as features normalizadas em ±N (0 = sem corte)
+  },
+  reward: {
+    preset: 'shaped', // 'shaped' | 'bounds' | 'sparse' | 'potential' | 'custom' (usa os pesos abaixo)
+    // Pesos dos termos, só com preset 'custom' (ver env/rewards.js)
+    survival: 1,
+    score: 15,
+    death: -50,
+    proximity: 1,
+    progress: 0.1,
+    velPenalty: -0.2,
+    potential: 0,
+    deathPipeTop: 0, // Somam-se a death, conforme a causa da morte
+    deathPipeBottom: 0,
+    deathGround: 0,
+    deathCeiling: 0,
+    velPenaltyThreshold: 600, // px/s
+    potentialGamma: 0.99 // γ do shaping por potencial; deve ser o gamma do agente
+  },
+  population: {
+    size: 1, // Pássaros por mundo (1–200); o mundo só reinicia quando todos morrem
+    epsilonSpread: 7 // Pássaro i explora com epsilon^(1 + i/(N-1) * spread)
+  },
+  neuro: {
+    hidden: 8, // Neurônios da camada oculta (7 -> hidden -> 2)
+    populationSize: 50, // population.size padrão com agent.type=neuro (um GA precisa de população)
+    eliteCount: 2, // Melhores copiados intactos (no máximo population.size - 1)
+    tournamentSize: 3,
+    crossoverRate: 0.7,
+    mutationRate: 0.1, // Chance de cada peso sofrer mutação
+    mutationStd: 0.5,
+    scoreBonus: 100 // Fitness = frames vivos + scoreBonus * canos
+  },
+  tabular: {
+    learningRate: 0.1, // Alpha do update de Q-learning
+    gamma: 0.99,
+    epsilonStart: 0.1,
+    epsilonMin: 0.001,
+    epsilonDecay: 0.99995, // Por frame
+    // Bordas dos bins, em pixels (velY em px/s); N bordas = N+1 baldes
+    dxBins: '40,80,120,160,240,320,480',
+    dyBins: '-160,-100,-60,-30,-10,10,30,60,100,160',
+    velYBins: '-300,-150,-50,50,150,300,500',
+    gapFeatures: false, // Também discretiza gapHeight e dyNext
+    gapHeightBins: '250,300,350',
+    dyNextBins: '-150,-50,50,150'
+  },
+  variants: {
+    // Regras alternativas do mundo; cada uma acrescenta suas features à observação
+    movingPipes: false, // Canos oscilam na vertical depois de surgir
+    pipeAmplitude: 80, // px
+    pipePeriod: 3000, // ms por oscilação
+    wind: false, // Rajadas de vento empurram o pássaro
+    windX: 60, // px/s, deslocamento horizontal máximo
+    windY: 250, // px/s², aceleração vertical máxima
+    windGustMs: 1500, // Duração de cada rajada (metade delas é calmaria)
+    randomPhysics: false, // Gravidade e força do flap sorteadas por episódio
+    gravityJitter: 0.2, // ±20%
+    flapJitter: 0.15,
+    speedRamp: false, // Canos aceleram durante o episódio
+    speedRampRate: 0.02, // +2% de velocidade por segundo
+    speedRampMax: 2 // Até 2x a velocidade inicial
+  },
+  curriculum: {
+    enabled: false, // Começa fácil e aperta os canos conforme a média de score
+    thresholds: '1,3,6,10,15', // Média para passar de cada nível; N limiares = N+1 níveis
+    window: 20, // Episódios na média móvel
+    // Nível 0; o último nível usa os valores de physics
+    startGap: 420,
+    startCenterMargin: 334, // Centros a ±50 px do meio da tela
+    startPipeInterval: 3200,
+    startPipeSpeed: -140
+  },
+  recording: {
+    enabled: true, // Grava o melhor pássaro de cada episódio (ver env/trace.js)
+    keep: 10 // Melhores execuções guardadas para replay
+  },
+  demo: {
+    // Partidas humanas (?mode=play) viram demonstrações (ver rl/demos.js)
+    keep: 20, // Melhores demonstrações guardadas
+    size: 30000, // Máximo de transições de demonstração na memória
+    pretrain: 'none', // 'none' | 'bc' | 'dqfd': aquece a DQN nova com as demonstrações
+    pretrainSteps: 2000, // Batches de pré-treino
+    margin: 0.8, // DQfD: Q da ação humana deve superar as outras por essa margem
+    marginWeight: 1 // DQfD: peso da perda de margem somada à perda TD
+  },
+  eval: {
+    episodes: 20, // Episódios do benchmark (?mode=eval)
+    seed: 2024, // Semente da lista fixa de mundos, independente da semente do treino
+    maxFrames: 20000 // Corta episódios longos demais
+  },
+  sim: {
+    actionRepeat: 1, // Frames por decisão (frame skip): a ação escolhida se repete
+    speed: '1' // '1' | '4' | '16' | 'max': velocidade da simulação em relação ao tempo real
+  },
+  display: {
+    // Só aparência: não muda a simulação
+    skin: 'blue', // 'blue' | 'yellow' | 'red' | 'random' (sorteada a cada episódio)
+    background: 'day', // 'day' | 'night' | 'random'
+    sound: true, // M liga/desliga os efeitos sonoros
+    hud: true, // H mostra/esconde o HUD de depuração
+    logEpisodes: false // Console: termos de recompensa, mortes, currículo e runs gravados a cada episódio
+  },
+  physics: {
+    gravity: 1000,
+    flapVelocity: -350,
+    flapMinVelocity: -100, // Só bate asa se não estiver subindo rápido
+    pipeSpeed: -200,
+    pipeInterval: 2500, // ms entre fileiras de canos
+    gapMin: 200,
+    gapMax: 410,
+    centerMargin: 150,
+    lethalBounds: true // Chão e teto matam; false = o pássaro só encosta (regra antiga)
+  }
+};
+
+export const AGENT_TYPES = ['dqn', 'neuro', 'tabular'];
+export const EXPLORATION_STRATEGIES = ['epsilon', 'boltzmann', 'noisy'];
+export const OBSERVATION_MODES = ['features', 'pixels'];
+export const SIM_SPEEDS = ['1', '4', '16', 'max'];
+export const PRETRAIN_METHODS = ['none', 'bc', 'dqfd'];
+export const SKINS = ['blue', 'yellow', 'red'];
+export const BACKGROUNDS = ['day', 'night', 'random'];
+
+// Allowed values for string fields (used by the panel and validation)
+export const CONFIG_CHOICES = {
+  'agent.type': AGENT_TYPES,
+  'agent.exploration': EXPLORATION_STRATEGIES,
+  'agent.epsilonSchedule': SCHEDULE_SHAPES,
+  'agent.epsilonUnit': SCHEDULE_UNITS,
+  'agent.lrSchedule': SCHEDULE_SHAPES,
+  'agent.lrUnit': SCHEDULE_UNITS,
+  'observation.mode': OBSERVATION_MODES,
+  'reward.preset': REWARD_PRESET_NAMES,
+  'sim.speed': SIM_SPEEDS,
+  'demo.pretrain': PRETRAIN_METHODS,
+  'display.skin': [...SKINS, 'random'],
+  'display.background': BACKGROUNDS,
+  'replay.sampling': SAMPLING_STRATEGIES
+};
+
+// Fields that only take effect on a fresh brain / page reload
+export const CONFIG_REBUILD_KEYS = [
+  'agent.type', 'agent.dueling', 'agent.worker', 'agent.noisySigma',
+  'observation.mode', 'observation.width', 'observation.height', 'observation.frameStack', 'observation.normalize',
+  // Mudam o tamanho da observação
+  'variants.movingPipes', 'variants.wind', 'variants.randomPhysics', 'variants.speedRamp'
+];
+
+// Short URL/CLI names kept for convenience
+const ALIASES = {
+  agent: 'agent.type',
+  exploration: 'agent.exploration',
+  obs: 'observation.mode',
+  normalize: 'observation.normalize',
+  curriculum: 'curriculum.enabled',
+  speed: 'sim.speed',
+  repeat: 'sim.actionRepeat',
+  'frame-skip': 'sim.actionRepeat',
+  pretrain: 'demo.pretrain',
+  skin: 'display.skin',
+  background: 'display.background',
+  sound: 'display.sound',
+  reward: 'reward.preset',
+  'reward.progressWeight': 'reward.progress', // Nome antigo
+  sampling: 'replay.sampling',
+  double: 'agent.doubleDQN',
+  dueling: 'agent.dueling',
+  nstep: 'agent.nStep',
+  'n-step': 'agent.nStep'
+};
+
+/* ------------------------------------------------------------
+ * BUILDING
+ * ------------------------------------------------------------ */
+export function createConfig(...overrides) {
+  const config = clone(DEFAULT_CONFIG);
+  overrides.forEach(override => mergeConfig(config, override));
+  // Sem population.size explícito, o GA usa neuro.populationSize
+  const sizeGiven = overrides.some(override => override?.population?.size !== undefined);
+  if (config.agent.type === 'neuro' && !sizeGiven) {
+    config.population.size = config.neuro.populationSize;
+  }
+  return config;
+}
+
+// Deep-merges known keys from source into target, in place, so that
+// everyone holding a reference to target sees the change.
+export function mergeConfig(target, source, prefix = '') {
+  if (!source) return target;
+  Object.keys(source).forEach(key => {
+    const path = prefix + key;
+    if (!(key in target)) {
+      console.warn('Unknown config key ignored:', path);
+      return;
+    }
+    const value = source[key];
+    if (isObject(target[key])) {
+      mergeConfig(target[key], value, path + '.');
+    } else {
+      target[key] = coerce(path, target[key], value);
+    }
+  });
+  return target;
+}
+
+// [key, value] pairs from URLSearchParams or CLI args -> nested override
+export function configFromParams(entries) {
+  const override = {};
+  for (const [rawKey, rawValue] of entries) {
+    const key = ALIASES[rawKey] || rawKey;
+    const path = key.split('.');
+    if (!hasPath(DEFAULT_CONFIG, path)) continue; // Outros parâmetros da página
+    let node = override;
+    path.slice(0, -1).forEach(part => {
+      node[part] = node[part] || {};
+      node = node[part];
+    });
+    node[path[path.length - 1]] = rawValue;
+  }
+  return override;
+}
+
+export async function readPresetFile(file) {
+  const text = await file.text();
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Preset ${file.name} is not valid JSON: ${e.message}`);
+  }
+}
+
+export function getConfigValue(config, key) {
+  return key.split('.').reduce((node, part) => node[part], config);
+}
+
+// Comma-separated number fields (bin edges, thresholds):
+// '40, 80,120' -> [40, 80, 120], sorted
+export function parseNumberList(text) {
+  return String(text)
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item !== '')
+    .map(Number)
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+}
+
+/* ------------------------------------------------------------
+ * HELPERS
+ * ------------------------------------------------------------ */
+function coerce(path, current, value) {
+  if (path === 'seed') return parseSeed(value);
+
+  const defaultValue = getConfigValue(DEFAULT_CONFIG, path);
+  if (typeof defaultValue === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    return !['false', '0', 'no', 'off'].includes(String(value).toLowerCase());
+  }
+  if (typeof defaultValue === 'number') {
+    const n = Number(value);
+    if (!Number.isFinite(n)) {
+      console.warn(`Config ${path}: "${value}" is not a number, keeping ${current}`);
+      return current;
+    }
+    return n;
+  }
+  const choices = CONFIG_CHOICES[path];
+  if (choices && !choices.includes(value)) {
+    console.warn(`Config ${path}: "${value}" is not one of ${choices.join(', ')}, keeping ${current}`);
+    return current;
+  }
+  return value;
+}
+
+function hasPath(obj, path) {
+  let node = obj;
+  for (const part of path) {
+    if (!node || typeof node !== 'object' || !(part in node)) return false;
+    node = node[part];
+  }
+  return !isObject(node);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
@@ -0,0 +1,96 @@
+/* ============================================================
+ * CURRICULUM
+ * ------------------------------------------------------------
+ * Adapts pipe difficulty to the agent. Level 0 has wide,
+ * centered gaps and slow, sparse pipes (curriculum.start*);
+ * the last level is the configured physics. In between, gap
+ * size, vertical spread of the gap centers, spawn interval and
+ * pipe speed are interpolated linearly. The agent is promoted
+ * one level when the rolling average score of the last
+ * curriculum.window episodes reaches the level's threshold.
+ *
+ *   env.difficulty = curriculum.difficulty(); // before env.reset()
+ *   curriculum.recordEpisode(env.score);
+ *
+ * The level travels with the brain (see toJSON / restore).
+ * ============================================================ */
+
+import { parseNumberList } from '../config.js';
+
+export class Curriculum {
+  constructor(config) {
+    this.config = config;
+    this.level = 0;
+    this.scores = []; // Scores do nível atual, últimos `window`
+  }
+
+  get enabled() {
+    return this.config.curriculum.enabled;
+  }
+
+  // Rolling average needed to leave each level; N thresholds = N+1 levels
+  get thresholds() {
+    return parseNumberList(this.config.curriculum.thresholds);
+  }
+
+  get maxLevel() {
+    return this.thresholds.length;
+  }
+
+  get average() {
+    if (this.scores.length === 0) return 0;
+    return this.scores.reduce((a, b) => a + b, 0) / this.scores.length;
+  }
+
+  // Pipe parameters for the current level, or null (plain physics)
+  // when the curriculum is off
+  difficulty() {
+    if (!this.enabled) return null;
+    const { startGap, startCenterMargin, startPipeInterval, startPipeSpeed } = this.config.curriculum;
+    const physics = this.config.physics;
+    const t = this.maxLevel > 0 ? Math.min(this.level, this.maxLevel) / this.maxLevel : 1;
+    const lerp = (start, end) => start + (end - start) * t;
+    return {
+      level: this.level,
+      gapMin: Math.round(lerp(startGap, physics.gapMin)),
+      gapMax: Math.round(lerp(startGap, physics.gapMax)),
+      centerMargin: Math.round(lerp(startCenterMargin, physics.centerMargin)),
+      pipeInterval: lerp(startPipeInterval, physics.pipeInterval),
+      pipeSpeed: lerp(startPipeSpeed, physics.pipeSpeed)
+    };
+  }
+
+  // After every training episode; returns true on promotion
+  recordEpisode(score) {
+    if (!this.enabled) return false;
+    this.scores.push(score);
+    const window = Math.max(1, Math.floor(this.config.curriculum.window));
+    if (this.scores.length > window) this.scores.shift();
+
+    const threshold = this.thresholds[this.level];
+    if (threshold === undefined || this.scores.length < window || this.average < threshold) return false;
+    // Janela nova: o próximo nível precisa ser provado na nova dificuldade
+    this.level++;
+    this.scores = [];
+    return true;
+  }
+
+  hudLine() {
+    if (!this.enabled) return null;
+    const next = this.thresholds[this.level];
+    const goal = next === undefined ? 'max' : `avg ${this.average.toFixed(1)}/${next}`;
+    return `Level: ${this.level}/${this.maxLevel} (${goal})`;
+  }
+
+  toJSON() {
+    return { level: this.level, scores: this.scores.slice() };
+  }
+
+  restore(data) {
+    this.level = 0;
+    this.scores = [];
+    if (!data) return;
+    this.level = Math.max(0, Math.min(Math.floor(data.level) || 0, this.maxLevel));
+    this.scores = Array.isArray(data.scores) ? data.scores.filter(Number.isFinite) : [];
+  }
+}
@@ -0,0 +1,630 @@
+/* ============================================================
+ * FLAPPY BIRD ENVIRONMENT — HEADLESS SIMULATION
+ * ------------------------------------------------------------
+ * Pure JS port of the physics, pipes, observation and reward
+ * that used to live in the Phaser scene. No Phaser, no DOM:
+ * runs the same in the browser and in Node. Physics and reward
+ * weights are read live from the run config (src/config.js).
+ * Observations are either the 7 hand-made features or, with
+ * observation.mode = 'pixels', a stack of downsampled grayscale
+ * frames rasterized straight from the simulation state. The
+ * reward is a weighted sum of named terms (see rewards.js).
+ * env.difficulty, when set (see curriculum.js), overrides the
+ * pipe parameters of physics from the next reset() on.
+ * config.variants switches on alternative rule sets (moving
+ * pipes, wind, random gravity/flap, speed ramp); each adds the
+ * features it needs to the observation. With
+ * physics.lethalBounds the ground and the ceiling kill, and
+ * every death gets a cause (see DEATH_CAUSES).
+ *
+ *   const env = new FlappyEnv({ config, seed: 42 });
+ *   let state = env.reset(episodeSeed);
+ *   const { state, reward, done, info } = env.step(action);
+ *   const results = env.stepAll(actions); // population mode
+ *   const results = env.stepRepeat(actions, 4); // frame skip
+ * ============================================================ */
+
+import { createConfig } from '../config.js';
+import { computeRewards, potentialOf } from './rewards.js';
+import { createRandom, deriveSeed, randomSeed } from '../util/random.js';
+
+/* ------------------------------------------------------------
+ * ACTIONS
+ * ------------------------------------------------------------ */
+export const ACTION_FLAP = 1;
+export const ACTION_IDLE = 0;
+export const ACTIONS = [ACTION_IDLE, ACTION_FLAP];
+
+/* ------------------------------------------------------------
+ * WORLD
+ * ------------------------------------------------------------ */
+export const WORLD_WIDTH = 1024;
+export const WORLD_HEIGHT = 768;
+export const STEP_MS = 1000 / 60; // Mesmo passo fixo do Arcade Physics
+
+export const BIRD_X = 120;
+export const BIRD_WIDTH = 68;
+export const BIRD_HEIGHT = 48;
+export const BIRD_BODY_WIDTH = 48; // Hitbox menor que o sprite
+export const BIRD_BODY_HEIGHT = 28;
+
+export const PIPE_WIDTH = 104;
+export const PIPE_HEIGHT = 640;
+export const PIPE_SPAWN_OFFSET = 50;
+
+// Faixa de chão no fundo da tela (o sprite 'base'); mortal com physics.lethalBounds
+export const GROUND_HEIGHT = 48;
+
+// bird.deathCause / info.deathCause values
+export const DEATH_CAUSES = ['pipeTop', 'pipeBottom', 'ground', 'ceiling'];
+
+/* ------------------------------------------------------------
+ * OBSERVATION
+ * ------------------------------------------------------------ */
+// Base features; variants may append more (see observationFeatures)
+export const STATE_SIZE = 7;
+export const TERMINAL_STATE = [0, 0, 0, 0, 0, 0, 0];
+
+const DX_SCALE = 1058;
+const DY_SCALE = 400;
+const VEL_SCALE = 1000;
+const GAP_SCALE = 400;
+const DEFAULT_GAP = 300;
+const PIPE_VEL_SCALE = 200;
+const WIND_RETURN = 1; // 1/s: quão rápido o pássaro volta a BIRD_X após o vento
+const REWARD_SCALES = { dx: DX_SCALE, dy: DY_SCALE };
+
+// Observation layout, in state order
+export const STATE_FEATURES = ['dx', 'dy', 'velY', 'gapHeight', 'dxNext', 'dyNext', 'gapNext'];
+const STATE_SCALES = [DX_SCALE, DY_SCALE, VEL_SCALE, GAP_SCALE, DX_SCALE, DY_SCALE, GAP_SCALE];
+
+// Extra features appended, in this order, by each enabled variant
+export const VARIANT_FEATURES = {
+  movingPipes: ['pipeVelY', 'pipeVelYNext'],
+  wind: ['windX', 'windY'],
+  randomPhysics: ['gravityScale', 'flapScale'],
+  speedRamp: ['speedScale']
+};
+
+// Names of the feature vector for a config (features mode)
+export function observationFeatures(config) {
+  const extras = Object.keys(VARIANT_FEATURES).filter(variant => config.variants[variant]);
+  return [...STATE_FEATURES, ...extras.flatMap(variant => VARIANT_FEATURES[variant])];
+}
+
+// Shape of one observation: [features] or [height, width, frameStack]
+export function observationShape(config) {
+  const { mode, width, height, frameStack } = config.observation;
+  return mode === 'pixels' ? [height, width, frameStack] : [observationFeatures(config).length];
+}
+
+export function observationSize(config) {
+  return observationShape(config).reduce((a, b) => a * b, 1);
+}
+
+// Pixel values (0–255) in rendered frames
+const PIXEL_PIPE = 128;
+const PIXEL_BIRD = 255;
+
+// Inverse of observe(): normalized state -> features in pixels (px/s for velY)
+export function stateToFeatures(state) {
+  const features = {};
+  STATE_FEATURES.forEach((name, i) => {
+    features[name] = state[i] * STATE_SCALES[i];
+  });
+  return features;
+}
+
+/* ------------------------------------------------------------
+ * ENVIRONMENT
+ * ------------------------------------------------------------
+ * Holds config.population.size birds flying through the same
+ * pipes. step() is the single-bird API; stepAll() advances
+ * every bird at once. The episode ends when all birds are dead.
+ * ------------------------------------------------------------ */
+export class FlappyEnv {
+  constructor(options = {}) {
+    this.width = options.width || WORLD_WIDTH;
+    this.height = options.height || WORLD_HEIGHT;
+    this.config = options.config || createConfig();
+    this.nextPipeId = 0;
+    this.difficulty = null;
+    this.reset(options.seed);
+  }
+
+  // Passing a seed reseeds the pipe generator; without one the
+  // generator just continues, so consecutive episodes differ.
+  // Returns the first bird's state (see observeAll() for the rest).
+  reset(seed) {
+    if (seed !== undefined && seed !== null) {
+      this.seed = seed >>> 0;
+      this.random = createRandom(this.seed);
+      this.variantRandom = createRandom(deriveSeed(this.seed, 'variants'));
+    } else if (!this.random) {
+      this.seed = randomSeed();
+      this.random = createRandom(this.seed);
+      this.variantRandom = createRandom(deriveSeed(this.seed, 'variants'));
+    }
+    // Modo de observação, dificuldade e variantes ficam fixos durante o episódio
+    this.observation = { ...this.config.observation };
+    this.episodeDifficulty = this.difficulty ? { ...this.difficulty } : null;
+    this.variants = { ...this.config.variants };
+    this.features = observationFeatures(this.config);
+    this.resetVariants();
+    const count = Math.max(1, Math.floor(this.config.population.size));
+    this.birds = Array.from({ length: count }, (_, id) => ({
+      id,
+      x: BIRD_X,
+      y: this.height / 2,
+      velY: 0,
+      angle: 0,
+      alive: true,
+      score: 0,
+      frames: 0,
+      flaps: 0, // Flaps efetivos (para o som de asa)
+      lastScoredId: -1,
+      deathCause: null, // Um de DEATH_CAUSES quando morre
+      potential: 0 // Φ do estado atual (sem canos no início)
+    }));
+    this.pipes = [];
+    this.score = 0;
+    this.frame = 0;
+    this.pipeTimer = 0;
+    this.done = false;
+    if (this.pixelMode) {
+      this.birds.forEach(bird => {
+        const frame = this.renderFrame(bird);
+        bird.frameStack = Array.from({ length: this.observation.frameStack }, () => frame);
+      });
+    }
+    return this.observe(this.birds[0]).state;
+  }
+
+  get bird() {
+    return this.birds[0];
+  }
+
+  get pixelMode() {
+    return this.observation.mode === 'pixels';
+  }
+
+  aliveCount() {
+    return this.birds.filter(bird => bird.alive).length;
+  }
+
+  observeAll() {
+    return this.birds.map(bird => this.observe(bird).state);
+  }
+
+  step(action) {
+    if (this.birds.length > 1) {
+      throw new Error('FlappyEnv.step() is single-bird; use stepAll() with a population');
+    }
+    return this.stepAll([action])[0];
+  }
+
+  // actions[i] drives birds[i]. Returns one result per bird, or null
+  // for birds that were already dead before this step.
+  stepAll(actions) {
+    if (this.done) {
+      throw new Error('FlappyEnv.step() called after episode end; call reset() first');
+    }
+
+    const dt = STEP_MS / 1000;
+    this.updateVariants(dt);
+    const pipeParams = this.pipeParams();
+
+    // 1. Ação e física de cada pássaro vivo
+    this.birds.forEach((bird, i) => {
+      if (bird.alive) this.moveBird(bird, actions[i], dt);
+    });
+
+    // 2. Canos
+    this.pipes.forEach(pipe => {
+      pipe.x += pipeParams.pipeSpeed * dt;
+      if (pipe.amplitude) this.movePipe(pipe);
+    });
+
+    this.pipeTimer += STEP_MS;
+    if (this.pipeTimer >= pipeParams.pipeInterval) {
+      this.pipeTimer -= pipeParams.pipeInterval;
+      this.addPipeRow(pipeParams);
+    }
+
+    // 3. Colisão, pontuação e recompensa por pássaro
+    const results = this.birds.map(bird => bird.alive ? this.resolveBird(bird) : null);
+
+    this.pipes = this.pipes.filter(pipe => pipe.x + PIPE_WIDTH >= 0);
+    this.frame++;
+    this.score = Math.max(...this.birds.map(bird => bird.score));
+    this.done = this.birds.every(bird => !bird.alive);
+
+    return results;
+  }
+
+  // Frames per decision (sim.actionRepeat, at least 1)
+  get actionRepeat() {
+    return Math.max(1, Math.floor(this.config.sim.actionRepeat) || 1);
+  }
+
+  // Frame skip / action repeat: each bird holds actions[i] for
+  // `repeat` frames (or until it dies, or the episode ends). Same
+  // result shape as stepAll(): rewards and reward terms summed,
+  // state and done from the bird's last frame.
+  stepRepeat(actions, repeat = this.actionRepeat) {
+    let merged = this.stepAll(actions);
+    for (let k = 1; k < repeat && !this.done; k++) {
+      merged = this.stepAll(actions).map((result, i) => mergeResults(merged[i], result));
+    }
+    return merged;
+  }
+
+  moveBird(bird, action, dt) {
+    const physics = this.config.physics;
+
+    if (action === ACTION_FLAP && bird.velY > physics.flapMinVelocity) {
+      bird.velY = physics.flapVelocity * this.flapScale;
+      bird.angle = -20;
+      bird.flaps++;
+    }
+
+    // Euler semi-implícito, igual ao Arcade
+    bird.velY += (physics.gravity * this.gravityScale + this.wind.y) * dt;
+    bird.y += bird.velY * dt;
+
+    // Vento lateral desloca o pássaro, que volta sozinho à sua posição
+    if (this.wind.x !== 0 || bird.x !== BIRD_X) {
+      bird.x += (this.wind.x - (bird.x - BIRD_X) * WIND_RETURN) * dt;
+    }
+
+    // Sem lethalBounds, as bordas do mundo seguram o pássaro
+    // (o collideWorldBounds antigo); com, resolveBird o mata
+    if (!this.config.physics.lethalBounds) {
+      const halfBody = BIRD_BODY_HEIGHT / 2;
+      if (bird.y - halfBody < 0) {
+        bird.y = halfBody;
+        bird.velY = 0;
+      } else if (bird.y + halfBody > this.height) {
+        bird.y = this.height - halfBody;
+        bird.velY = 0;
+      }
+    }
+
+    if (bird.angle < 20) {
+      bird.angle += 1;
+    }
+  }
+
+  resolveBird(bird) {
+    let scored = false;
+    const cause = this.deathCause(bird);
+    if (cause) {
+      bird.alive = false;
+      bird.deathCause = cause;
+    } else {
+      this.pipes.forEach(pipe => {
+        if (pipe.id > bird.lastScoredId && this.overlapsZone(bird, pipe)) {
+          bird.lastScoredId = pipe.id;
+          bird.score++;
+          scored = true;
+        }
+      });
+    }
+    bird.frames++;
+
+    const done = !bird.alive;
+    if (this.pixelMode) {
+      bird.frameStack.push(this.renderFrame(bird));
+      bird.frameStack.shift();
+    }
+    const obs = this.observe(bird);
+    const potential = potentialOf(obs.features, REWARD_SCALES, done);
+    const rewards = computeRewards({
+      features: obs.features,
+      scales: REWARD_SCALES,
+      scored,
+      done,
+      cause,
+      potential: { prev: bird.potential, next: potential, gamma: this.config.reward.potentialGamma },
+      config: this.config.reward
+    });
+    bird.potential = potential;
+    const reward = Object.values(rewards).reduce((a, b) => a + b, 0);
+
+    return {
+      // Mesmo na morte, a observação real: o done já corta o bootstrap
+      state: obs.state,
+      reward,
+      done,
+      info: {
+        bird: bird.id,
+        score: bird.score,
+        frame: bird.frames,
+        scored,
+        deathCause: bird.deathCause,
+        features: obs.features,
+        rewards
+      }
+    };
+  }
+
+  // Gap, centers, speed and interval: physics, or the curriculum
+  // level; the speed ramp scales speed and interval together, so
+  // pipe spacing stays the same
+  pipeParams() {
+    const { gapMin, gapMax, centerMargin, pipeInterval, pipeSpeed } = this.config.physics;
+    const params = { gapMin, gapMax, centerMargin, pipeInterval, pipeSpeed, ...this.episodeDifficulty };
+    params.pipeSpeed *= this.speedScale;
+    params.pipeInterval /= this.speedScale;
+    return params;
+  }
+
+  addPipeRow(pipeParams = this.pipeParams()) {
+    const { gapMin, gapMax, centerMargin } = pipeParams;
+    const gap = this.randomInt(gapMin, gapMax);
+    const centerY = this.randomInt(centerMargin, this.height - centerMargin);
+    const color = this.randomInt(0, 1) === 0 ? 'green' : 'red';
+
+    const pipe = {
+      id: this.nextPipeId++,
+      x: this.width + PIPE_SPAWN_OFFSET,
+      centerY,
+      gap,
+      color,
+      velY: 0
+    };
+    if (this.variants.movingPipes) {
+      pipe.baseY = centerY;
+      pipe.amplitude = this.variants.pipeAmplitude;
+      pipe.phase = this.variantRandom() * 2 * Math.PI;
+      this.movePipe(pipe);
+    }
+    this.pipes.push(pipe);
+  }
+
+  // Zona de pontuação fica na borda trailing (direita) do cano
+  zoneX(pipe) {
+    return pipe.x + PIPE_WIDTH;
+  }
+
+  birdBounds(bird) {
+    return {
+      left: bird.x - BIRD_BODY_WIDTH / 2,
+      right: bird.x + BIRD_BODY_WIDTH / 2,
+      top: bird.y - BIRD_BODY_HEIGHT / 2,
+      bottom: bird.y + BIRD_BODY_HEIGHT / 2
+    };
+  }
+
+  // Top of the lethal ground strip (y of the world's floor)
+  get groundY() {
+    return this.height - GROUND_HEIGHT;
+  }
+
+  // What kills the bird this frame (one of DEATH_CAUSES), or null.
+  // Pipes first, so a bird hitting a pipe over the ground dies on the pipe.
+  deathCause(bird) {
+    for (const pipe of this.pipes) {
+      const cause = this.collides(bird, pipe);
+      if (cause) return cause;
+    }
+    if (!this.config.physics.lethalBounds) return null;
+    const b = this.birdBounds(bird);
+    if (b.bottom > this.groundY) return 'ground';
+    if (b.top < 0) return 'ceiling';
+    return null;
+  }
+
+  // 'pipeTop' | 'pipeBottom' when the bird's hitbox overlaps that
+  // half of the pipe, else null
+  collides(bird, pipe) {
+    const b = this.birdBounds(bird);
+    if (b.right <= pipe.x || b.left >= pipe.x + PIPE_WIDTH) return null;
+    if (b.top < pipe.centerY - pipe.gap / 2) return 'pipeTop';
+    if (b.bottom > pipe.centerY + pipe.gap / 2) return 'pipeBottom';
+    return null;
+  }
+
+  overlapsZone(bird, pipe) {
+    const b = this.birdBounds(bird);
+    const zx = this.zoneX(pipe);
+    return b.right >= zx - 1 && b.left <= zx + 1;
+  }
+
+  pipesAhead(bird) {
+    return this.pipes
+      .filter(pipe => this.zoneX(pipe) > bird.x)
+      .sort((a, b) => a.x - b.x);
+  }
+
+  observe(bird) {
+    const pipesAhead = this.pipesAhead(bird);
+
+    let dx = DX_SCALE, dy = 0, velY = bird.velY, gapHeight = DEFAULT_GAP,
+      dxNext = DX_SCALE, dyNext = 0, gapNext = DEFAULT_GAP,
+      pipeVelY = 0, pipeVelYNext = 0;
+
+    // Antes do primeiro cano, com chão e teto mortais, dy mede a
+    // altura em relação ao meio da tela (senão o pássaro cai às cegas)
+    if (this.config.physics.lethalBounds) dy = bird.y - this.height / 2;
+
+    if (pipesAhead.length > 0) {
+      const current = pipesAhead[0];
+      dx = Math.max(0, this.zoneX(current) - bird.x);
+      dy = bird.y - current.centerY;
+      gapHeight = current.gap;
+      pipeVelY = current.velY;
+
+      if (pipesAhead.length > 1) {
+        const next = pipesAhead[1];
+        dxNext = Math.max(0, this.zoneX(next) - bird.x);
+        dyNext = bird.y - next.centerY;
+        gapNext = next.gap;
+        pipeVelYNext = next.velY;
+      }
+    }
+
+    const features = {
+      dx, dy, velY, gapHeight, dxNext, dyNext, gapNext,
+      pipeVelY, pipeVelYNext,
+      windX: this.wind.x,
+      windY: this.wind.y,
+      gravityScale: this.gravityScale,
+      flapScale: this.flapScale,
+      speedScale: this.speedScale,
+      hasPipe: pipesAhead.length > 0
+    };
+
+    const state = this.pixelMode ? this.stackFrames(bird) : this.features.map(name => this.normalize(name, features[name]));
+
+    return { state, features };
+  }
+
+  // Feature -> network input, roughly in [-1, 1]
+  normalize(name, value) {
+    const variants = this.variants;
+    switch (name) {
+      case 'dx': case 'dxNext': return value / DX_SCALE;
+      case 'dy': case 'dyNext': return value / DY_SCALE;
+      case 'velY': return value / VEL_SCALE;
+      case 'gapHeight': case 'gapNext': return value / GAP_SCALE;
+      case 'pipeVelY': case 'pipeVelYNext': return value / PIPE_VEL_SCALE;
+      case 'windX': return variants.windX ? value / variants.windX : 0;
+      case 'windY': return variants.windY ? value / variants.windY : 0;
+      // Multiplicadores: 0 = valor normal do config
+      case 'gravityScale': case 'flapScale': case 'speedScale': return value - 1;
+      default: throw new Error(`Unknown observation feature "${name}"`);
+    }
+  }
+
+  /* ---- LOOK-AHEAD (policy overlay) ---- */
+
+  // State bird would observe with some fields replaced, e.g.
+  // { y, velY }; null in pixel mode (frames can't be faked)
+  observeAs(bird, overrides) {
+    if (this.pixelMode) return null;
+    return this.observe({ ...bird, ...overrides }).state;
+  }
+
+  // Independent copy of the world to simulate ahead without
+  // touching this one. Shares the config; pipes spawned by the
+  // copy come from its own random streams.
+  clone() {
+    const copy = Object.create(FlappyEnv.prototype);
+    Object.assign(copy, this);
+    copy.birds = this.birds.map(bird => ({
+      ...bird,
+      frameStack: bird.frameStack ? bird.frameStack.slice() : undefined
+    }));
+    copy.pipes = this.pipes.map(pipe => ({ ...pipe }));
+    copy.wind = { ...this.wind };
+    copy.random = createRandom(deriveSeed(this.seed, `clone:${this.frame}`));
+    copy.variantRandom = createRandom(deriveSeed(this.seed, `clone-variants:${this.frame}`));
+    return copy;
+  }
+
+  /* ---- VARIANTS ---- */
+
+  // Per-episode draws: gravity/flap multipliers, calm wind, no ramp
+  resetVariants() {
+    const { randomPhysics, gravityJitter, flapJitter } = this.variants;
+    const jitter = amount => 1 + (this.variantRandom() * 2 - 1) * amount;
+    this.gravityScale = randomPhysics ? jitter(gravityJitter) : 1;
+    this.flapScale = randomPhysics ? jitter(flapJitter) : 1;
+    this.wind = { x: 0, y: 0 };
+    this.windTimer = 0;
+    this.speedScale = 1;
+  }
+
+  updateVariants(dt) {
+    const variants = this.variants;
+    if (variants.wind) {
+      // Nova rajada a cada windGustMs; metade delas é calmaria
+      this.windTimer += STEP_MS;
+      if (this.windTimer >= variants.windGustMs) {
+        this.windTimer -= variants.windGustMs;
+        const calm = this.variantRandom() < 0.5;
+        const draw = max => (calm ? 0 : (this.variantRandom() * 2 - 1) * max);
+        this.wind = { x: draw(variants.windX), y: draw(variants.windY) };
+      }
+    }
+    if (variants.speedRamp) {
+      const seconds = (this.frame + 1) * dt;
+      this.speedScale = Math.min(variants.speedRampMax, 1 + variants.speedRampRate * seconds);
+    }
+  }
+
+  // Vertical oscillation around the spawn center
+  movePipe(pipe) {
+    const omega = (2 * Math.PI * 1000) / this.variants.pipePeriod;
+    const t = this.frame * (STEP_MS / 1000);
+    pipe.centerY = pipe.baseY + pipe.amplitude * Math.sin(omega * t + pipe.phase);
+    pipe.velY = pipe.amplitude * omega * Math.cos(omega * t + pipe.phase);
+  }
+
+  /* ---- PIXELS ---- */
+
+  // Grayscale, row-major, observation.width x observation.height.
+  // Pipes (and the ground, if lethal) at PIXEL_PIPE, this bird's
+  // hitbox at PIXEL_BIRD; other birds of the population are not
+  // drawn.
+  renderFrame(bird) {
+    const { width: w, height: h } = this.observation;
+    const frame = new Uint8Array(w * h);
+    const sx = w / this.width;
+    const sy = h / this.height;
+
+    const fill = (left, top, right, bottom, value) => {
+      const x0 = Math.max(0, Math.floor(left * sx));
+      const x1 = Math.min(w, Math.ceil(right * sx));
+      const y0 = Math.max(0, Math.floor(top * sy));
+      const y1 = Math.min(h, Math.ceil(bottom * sy));
+      for (let y = y0; y < y1; y++) {
+        frame.fill(value, y * w + x0, Math.max(y * w + x0, y * w + x1));
+      }
+    };
+
+    this.pipes.forEach(pipe => {
+      const right = pipe.x + PIPE_WIDTH;
+      fill(pipe.x, 0, right, pipe.centerY - pipe.gap / 2, PIXEL_PIPE);
+      fill(pipe.x, pipe.centerY + pipe.gap / 2, right, this.height, PIXEL_PIPE);
+    });
+    if (this.config.physics.lethalBounds) fill(0, this.groundY, this.width, this.height, PIXEL_PIPE);
+    const b = this.birdBounds(bird);
+    fill(b.left, b.top, b.right, b.bottom, PIXEL_BIRD);
+
+    return frame;
+  }
+
+  // Channels-last [height, width, frameStack], oldest frame first
+  stackFrames(bird) {
+    const stack = bird.frameStack;
+    const k = stack.length;
+    const state = new Uint8Array(stack[0].length * k);
+    stack.forEach((frame, c) => {
+      for (let i = 0; i < frame.length; i++) {
+        state[i * k + c] = frame[i];
+      }
+    });
+    return state;
+  }
+
+  randomInt(min, max) {
+    return Math.floor(this.random() * (max - min + 1)) + min;
+  }
+}
+
+// Two consecutive results of one bird (either null if it was dead)
+function mergeResults(first, second) {
+  if (!first) return second;
+  if (!second) return first;
+  const rewards = { ...first.info.rewards };
+  Object.entries(second.info.rewards).forEach(([name, value]) => {
+    rewards[name] = (rewards[name] || 0) + value;
+  });
+  return {
+    ...second,
+    reward: first.reward + second.reward,
+    info: { ...second.info, scored: first.info.scored || second.info.scored, rewards }
+  };
+}
@@ -0,0 +1,116 @@
+/* ============================================================
+ * REWARD SHAPING
+ * ------------------------------------------------------------
+ * The reward of a step is a weighted sum of named terms. Each
+ * term returns a raw value (e.g. 1 on death) and the weight
+ * gives its sign and size, so a reward function is just a set
+ * of weights:
+ *
+ *   reward.preset = 'shaped' | 'sparse' | 'potential'
+ *                 | 'custom' (the reward.<term> weights)
+ *
+ * Terms with weight 0 are skipped. The weighted value of every
+ * active term goes into info.rewards, which the metrics sum per
+ * episode, so each term's contribution can be charted.
+ * ============================================================ */
+
+/* ------------------------------------------------------------
+ * TERMS
+ * ------------------------------------------------------------
+ * ctx: {
+ *   features,  observe() features of the bird after the step
+ *   scales,    { dx, dy } used to normalize the state
+ *   scored,    passed a pipe this step
+ *   done,      died this step
+ *   cause,     what killed the bird (DEATH_CAUSES in flappy.js), or null
+ *   potential, { prev, next, gamma } (see potentialOf)
+ *   config     the reward section of the run config
+ * }
+ * ------------------------------------------------------------ */
+export const REWARD_TERMS = {
+  // +1 por frame vivo
+  survival: ctx => (ctx.done ? 0 : 1),
+
+  // +1 por cano atravessado
+  score: ctx => (ctx.scored ? 1 : 0),
+
+  // 1 no frame da morte (peso negativo)
+  death: ctx => (ctx.done ? 1 : 0),
+
+  // 1 na morte por essa causa: recompensa terminal distinta por causa
+  deathPipeTop: ctx => (ctx.cause === 'pipeTop' ? 1 : 0),
+  deathPipeBottom: ctx => (ctx.cause === 'pipeBottom' ? 1 : 0),
+  deathGround: ctx => (ctx.cause === 'ground' ? 1 : 0),
+  deathCeiling: ctx => (ctx.cause === 'ceiling' ? 1 : 0),
+
+  // Perto do centro do gap: até +0.5, longe: até -0.5
+  proximity: ctx => {
+    const { dy, gapHeight, hasPipe } = ctx.features;
+    if (ctx.done || !hasPipe) return 0;
+    const scale = (gapHeight / 2) * 1.5;
+    return Math.max(Math.exp(-(Math.abs(dy) / scale) * 2) - 0.5, -0.5);
+  },
+
+  // Distância normalizada até o próximo cano — evite negativos
+  progress: ctx => (ctx.done ? 0 : Math.max(0, ctx.features.dx / ctx.scales.dx)),
+
+  // 1 com velocidade vertical extrema (evita loops loucos)
+  velPenalty: ctx => (!ctx.done && Math.abs(ctx.features.velY) > ctx.config.velPenaltyThreshold ? 1 : 0),
+
+  // Potential-based shaping γΦ(s') − Φ(s): doesn't change the optimal policy
+  potential: ctx => ctx.potential.gamma * ctx.potential.next - ctx.potential.prev
+};
+
+export const REWARD_TERM_NAMES = Object.keys(REWARD_TERMS);
+
+// Φ(s): minus the normalized distance to the center of the next gap.
+// Terminal states have Φ = 0.
+export function potentialOf(features, scales, done = false) {
+  if (done || !features.hasPipe) return 0;
+  return -Math.abs(features.dy) / scales.dy;
+}
+
+/* ------------------------------------------------------------
+ * PRESETS
+ * ------------------------------------------------------------ */
+const NO_TERMS = Object.fromEntries(REWARD_TERM_NAMES.map(name => [name, 0]));
+
+export const REWARD_PRESETS = {
+  // A recompensa original, com todos os incentivos
+  shaped: { ...NO_TERMS, survival: 1, score: 15, death: -50, proximity: 1, progress: 0.1, velPenalty: -0.2 },
+  // Shaped + penalidade extra nas bordas, para não virarem um lugar seguro
+  bounds: {
+    ...NO_TERMS, survival: 1, score: 15, death: -50, proximity: 1, progress: 0.1, velPenalty: -0.2,
+    deathGround: -10, deathCeiling: -10
+  },
+  // Só o resultado do jogo
+  sparse: { ...NO_TERMS, score: 1, death: -1 },
+  // Esparsa + shaping baseado em potencial
+  potential: { ...NO_TERMS, score: 1, death: -1, potential: 1 }
+};
+
+export const REWARD_PRESET_NAMES = [...Object.keys(REWARD_PRESETS), 'custom'];
+
+// term -> weight for the reward section of a config
+export function rewardWeights(rewardConfig) {
+  const preset = REWARD_PRESETS[rewardConfig.preset];
+  if (preset) return preset;
+  return Object.fromEntries(REWARD_TERM_NAMES.map(name => [name, rewardConfig[name] ?? 0]));
+}
+
+// Weighted value of every active term
+export function computeRewards(ctx) {
+  const weights = rewardWeights(ctx.config);
+  const rewards = {};
+  REWARD_TERM_NAMES.forEach(name => {
+    if (weights[name] !== 0) rewards[name] = weights[name] * REWARD_TERMS[name](ctx);
+  });
+  return rewards;
+}
+
+// "survival=412.0 score=15.0 ..." for per-episode logs
+export function formatRewardTerms(rewards) {
+  return Object.entries(rewards)
+    .map(([name, value]) => `${name}=${value.toFixed(1)}`)
+    .join(' ');
+}
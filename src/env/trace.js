@@ -0,0 +1,202 @@
+/* ============================================================
+ * EPISODE TRACES
+ * ------------------------------------------------------------
+ * The world only depends on its seed, config and curriculum
+ * level, and birds never affect each other, so one bird's run
+ * is fully described by:
+ *   episode seed + config + difficulty + one action per frame
+ * TraceRecorder collects the actions of every bird during an
+ * episode and, at the end, keeps the best bird's run as a trace.
+ * Before returning it, the run is replayed once headless: the
+ * result must match, and y/velY checkpoints are taken so a
+ * player can detect a desync (e.g. a trace from another build).
+ *
+ *   trace = {
+ *     format: 'flappy-trace', version, id, recordedAt,
+ *     agentType, label, generation, bird,
+ *     seed, difficulty, config,
+ *     score, frames, death: { cause, frame, x, y } | null,
+ *     actions: '0010000100...',
+ *     checkpoints: [{ frame, y, velY }]  // every CHECKPOINT_FRAMES
+ *   }
+ * ============================================================ */
+
+import { createConfig } from '../config.js';
+import { FlappyEnv } from './flappy.js';
+
+export const TRACE_FORMAT = 'flappy-trace';
+export const TRACE_VERSION = 2;
+
+// Version 1 traces were recorded before physics.lethalBounds
+// existed: the bird rested on the edges of the world
+const LEGACY_RULES = { 1: { physics: { lethalBounds: false } } };
+
+const CHECKPOINT_FRAMES = 60;
+const CHECKPOINT_TOLERANCE = 1e-6;
+
+/* ------------------------------------------------------------
+ * RECORDING
+ * ------------------------------------------------------------ */
+export class TraceRecorder {
+  constructor() {
+    this.current = null;
+  }
+
+  // Right after env.reset(); meta: { agentType, label, generation }
+  beginEpisode(env, meta = {}) {
+    this.current = {
+      meta,
+      seed: env.seed,
+      difficulty: env.episodeDifficulty,
+      config: JSON.parse(JSON.stringify(env.config)),
+      actions: env.birds.map(() => [])
+    };
+  }
+
+  // actions[id] for every bird alive before the step, held for
+  // `repeat` frames (frame skip); the tail a bird didn't live
+  // through is cut at the end
+  recordStep(env, actions, repeat = 1) {
+    if (!this.current) return;
+    this.current.actions.forEach((list, id) => {
+      if (actions[id] === undefined) return;
+      for (let k = 0; k < repeat; k++) list.push(actions[id]);
+    });
+  }
+
+  // The best bird's trace (score, then frames), or null if the run
+  // doesn't reproduce (config edited mid-episode, ...)
+  endEpisode(env) {
+    if (!this.current) return null;
+    const current = this.current;
+    this.current = null;
+
+    const best = env.birds.reduce((a, b) => (b.score > a.score || (b.score === a.score && b.frames > a.frames) ? b : a));
+    const config = current.config;
+    config.population.size = 1;
+
+    const trace = {
+      format: TRACE_FORMAT,
+      version: TRACE_VERSION,
+      id: `${Date.now().toString(36)}-${current.seed.toString(36)}-${best.id}`,
+      recordedAt: new Date().toISOString(),
+      agentType: current.meta.agentType ?? null,
+      label: current.meta.label ?? null,
+      generation: current.meta.generation ?? null,
+      bird: best.id,
+      seed: current.seed,
+      difficulty: current.difficulty,
+      config,
+      score: best.score,
+      frames: best.frames,
+      death: best.alive ? null : { cause: best.deathCause, frame: best.frames, x: best.x, y: best.y },
+      actions: current.actions[best.id].slice(0, best.frames).join(''),
+      checkpoints: []
+    };
+
+    // Confere a reprodução e tira os checkpoints
+    const player = new TracePlayer(trace, { verify: false });
+    while (!player.done) {
+      player.step();
+      if (player.frame % CHECKPOINT_FRAMES === 0) {
+        const bird = player.bird;
+        trace.checkpoints.push({ frame: player.frame, y: bird.y, velY: bird.velY });
+      }
+    }
+    const replayed = player.bird;
+    if (replayed.score !== best.score || replayed.frames !== best.frames || replayed.alive !== best.alive) {
+      console.warn(`Episode of bird #${best.id} doesn't replay (config changed mid-episode?); trace dropped`);
+      return null;
+    }
+    return trace;
+  }
+}
+
+/* ------------------------------------------------------------
+ * PLAYBACK
+ * ------------------------------------------------------------
+ * Re-simulates a trace on a single-bird env. Seeking backwards
+ * restarts from frame 0 (the sim is far cheaper than drawing).
+ * `overrides` may replace config sections that don't move the
+ * world (observation, reward) to read the run differently.
+ * ------------------------------------------------------------ */
+export class TracePlayer {
+  constructor(trace, { verify = true, overrides = null } = {}) {
+    checkTrace(trace);
+    this.trace = trace;
+    this.verify = verify;
+    this.config = createConfig(LEGACY_RULES[trace.version], trace.config, overrides, { population: { size: 1 } });
+    this.env = new FlappyEnv({ config: this.config });
+    this.checkpoints = new Map((trace.checkpoints || []).map(point => [point.frame, point]));
+    this.restart();
+  }
+
+  get bird() {
+    return this.env.birds[0];
+  }
+
+  get length() {
+    return this.trace.actions.length;
+  }
+
+  get done() {
+    return this.env.done || this.frame >= this.length;
+  }
+
+  restart() {
+    this.env.difficulty = this.trace.difficulty;
+    this.state = this.env.reset(this.trace.seed); // Observação antes do próximo passo
+    this.frame = 0;
+    this.desync = null; // Primeiro frame divergente, se houver
+  }
+
+  step() {
+    if (this.done) return null;
+    const result = this.env.step(Number(this.trace.actions[this.frame]));
+    this.state = result.state;
+    this.frame++;
+    const point = this.verify && this.checkpoints.get(this.frame);
+    if (point && this.desync === null &&
+      (Math.abs(point.y - this.bird.y) > CHECKPOINT_TOLERANCE || Math.abs(point.velY - this.bird.velY) > CHECKPOINT_TOLERANCE)) {
+      this.desync = this.frame;
+      console.warn(`Trace desync at frame ${this.frame}: y ${this.bird.y} vs recorded ${point.y}`);
+    }
+    return result;
+  }
+
+  seek(frame) {
+    frame = Math.max(0, Math.min(Math.floor(frame), this.length));
+    if (frame < this.frame) this.restart();
+    while (this.frame < frame && !this.done) this.step();
+  }
+}
+
+// Throws an Error explaining why `trace` can't be played
+export function checkTrace(trace) {
+  if (!trace || trace.format !== TRACE_FORMAT) {
+    throw new Error('Not a Flappy trace file (missing "format": "flappy-trace")');
+  }
+  if (!(trace.version <= TRACE_VERSION)) {
+    throw new Error(`Trace format version ${trace.version} is newer than this build supports (${TRACE_VERSION})`);
+  }
+  if (typeof trace.actions !== 'string' || !/^[01]*$/.test(trace.actions)) {
+    throw new Error('Trace actions must be a string of 0 (idle) and 1 (flap)');
+  }
+  return trace;
+}
+
+// "score 12, 1834 frames, gen 40, died (pipe)"
+export function describeTrace(trace) {
+  const death = trace.death ? `died (${trace.death.cause})` : 'alive at cut';
+  const generation = trace.generation !== null ? `, gen ${trace.generation}` : '';
+  return `score ${trace.score}, ${trace.frames} frames${generation}, ${death}`;
+}
+
+export async function readTraceFile(file) {
+  const text = await file.text();
+  try {
+    return checkTrace(JSON.parse(text));
+  } catch (e) {
+    throw new Error(`${file.name}: ${e.message}`);
+  }
+}
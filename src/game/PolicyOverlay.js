@@ -0,0 +1,197 @@
+/* ============================================================
+ * POLICY OVERLAY
+ * ------------------------------------------------------------
+ * Toggleable view of what the agent thinks about the current
+ * pipe, for the highlighted bird:
+ *   - heatmap of FLAP vs IDLE over bird y x velY (everything
+ *     else as observed now); color = preferred action, opacity
+ *     = size of the value gap
+ *   - predicted path under the greedy policy for the next
+ *     second, simulated on a copy of the world, with an X where
+ *     it would die
+ * The heatmap needs feature observations; the path works in
+ * every mode. Agents without actionValues() show a note.
+ * ============================================================ */
+
+import { ACTION_FLAP, ACTION_IDLE, ACTIONS, STEP_MS } from '../env/flappy';
+
+// Heatmap: bird y (rows) x vertical velocity (columns)
+const ROWS = 24;
+const COLS = 24;
+const VEL_MIN = -600;
+const VEL_MAX = 600;
+const CELL = 10;
+const MARGIN = 16;
+const LOOKAHEAD_FRAMES = 60; // 1 s de simulação
+const REFRESH_FRAMES = 10; // Recalcula a cada N frames de simulação (predict é caro)
+
+const COLOR_FLAP = 0xff9800;
+const COLOR_IDLE = 0x2196f3;
+
+export class PolicyOverlay {
+	constructor(scene, visible = false) {
+		this.scene = scene;
+		this.visible = visible;
+		this.refreshedAt = null; // env.frame do último cálculo
+
+		this.graphics = scene.add.graphics().setDepth(900);
+		this.text = scene.add.text(0, 0, '', {
+			fontFamily: 'monospace',
+			fontSize: '12px',
+			fill: '#fff',
+			stroke: '#000',
+			strokeThickness: 3,
+		}).setDepth(901);
+		this.setVisible(visible);
+	}
+
+	toggle() {
+		this.setVisible(!this.visible);
+		return this.visible;
+	}
+
+	setVisible(visible) {
+		this.visible = visible;
+		this.graphics.setVisible(visible);
+		this.text.setVisible(visible);
+		this.refreshedAt = null;
+	}
+
+	// Called every render frame with the highlighted bird; recomputes
+	// every REFRESH_FRAMES sim steps, so the rate follows the simulation
+	// and not the display's frame rate or the sim speed
+	update(env, agent, bird) {
+		if (!this.visible || !bird.alive) return;
+		const elapsed = env.frame - this.refreshedAt;
+		// Novo episódio: env.frame voltou a 0
+		if (this.refreshedAt !== null && elapsed >= 0 && elapsed < REFRESH_FRAMES) return;
+		this.refreshedAt = env.frame;
+
+		const heatmap = policyHeatmap(env, agent, bird);
+		const path = predictTrajectory(env, agent, bird.id, LOOKAHEAD_FRAMES);
+		this.draw(env, bird, heatmap, path);
+	}
+
+	draw(env, bird, heatmap, path) {
+		const g = this.graphics;
+		g.clear();
+		const left = this.scene.scale.width - MARGIN - COLS * CELL;
+		const top = MARGIN;
+		const lines = [];
+
+		if (heatmap) {
+			g.fillStyle(0x000000, 0.5);
+			g.fillRect(left, top, COLS * CELL, ROWS * CELL);
+			heatmap.cells.forEach(({ row, col, gap }) => {
+				const alpha = heatmap.maxGap > 0 ? 0.15 + 0.75 * Math.abs(gap) / heatmap.maxGap : 0.15;
+				g.fillStyle(gap > 0 ? COLOR_FLAP : COLOR_IDLE, alpha);
+				g.fillRect(left + col * CELL, top + row * CELL, CELL, CELL);
+			});
+
+			// Gap do cano atual e posição atual do pássaro
+			const rowOf = y => top + (y / env.height) * ROWS * CELL;
+			const colOf = velY => left + ((velY - VEL_MIN) / (VEL_MAX - VEL_MIN)) * COLS * CELL;
+			const features = env.observe(bird).features;
+			if (features.hasPipe) {
+				const center = bird.y - features.dy;
+				g.lineStyle(1, 0x00ff00, 1);
+				[center - features.gapHeight / 2, center + features.gapHeight / 2].forEach(y => {
+					g.lineBetween(left, rowOf(y), left + COLS * CELL, rowOf(y));
+				});
+			}
+			const velY = Math.max(VEL_MIN, Math.min(VEL_MAX, bird.velY));
+			g.fillStyle(0xffffff, 1);
+			g.fillCircle(colOf(velY), rowOf(bird.y), 3);
+
+			lines.push(
+				'y ↓  velY →',
+				`[${VEL_MIN}, ${VEL_MAX}] px/s`,
+				'orange FLAP / blue IDLE',
+				`max |FLAP-IDLE|: ${heatmap.maxGap.toPrecision(3)}`
+			);
+		} else {
+			lines.push(env.pixelMode ? 'No heatmap for pixel observations' : 'Agent has no action values');
+		}
+
+		if (path) {
+			path.forEach((point, i) => {
+				const previous = i === 0 ? { x: bird.x, y: bird.y } : path[i - 1];
+				g.lineStyle(2, point.action === ACTION_FLAP ? COLOR_FLAP : 0xffffff, 0.9);
+				g.lineBetween(previous.x, previous.y, point.x, point.y);
+			});
+			const last = path[path.length - 1];
+			if (last?.dead) {
+				g.lineStyle(3, 0xff0000, 1);
+				g.lineBetween(last.x - 8, last.y - 8, last.x + 8, last.y + 8);
+				g.lineBetween(last.x - 8, last.y + 8, last.x + 8, last.y - 8);
+			}
+			lines.push(last?.dead ? `Greedy path dies in ${last.frame} frames` : 'Greedy path survives 1 s');
+		}
+
+		this.text.setPosition(left, top + (heatmap ? ROWS * CELL + 4 : 0));
+		this.text.setText(lines.join('\n'));
+	}
+}
+
+/* ------------------------------------------------------------
+ * ANALYSIS (no Phaser)
+ * ------------------------------------------------------------ */
+
+// FLAP-IDLE value gap over a y x velY grid, or null when unavailable
+export function policyHeatmap(env, agent, bird) {
+	const states = [];
+	const cells = [];
+	for (let row = 0; row < ROWS; row++) {
+		for (let col = 0; col < COLS; col++) {
+			const y = ((row + 0.5) / ROWS) * env.height;
+			const velY = VEL_MIN + ((col + 0.5) / COLS) * (VEL_MAX - VEL_MIN);
+			const state = env.observeAs(bird, { y, velY });
+			if (!state) return null;
+			states.push(state);
+			cells.push({ row, col, gap: 0 });
+		}
+	}
+	const values = agent.actionValues(states, bird.id);
+	if (!values) return null;
+	let maxGap = 0;
+	cells.forEach((cell, i) => {
+		cell.gap = values[i][ACTION_FLAP] - values[i][ACTION_IDLE];
+		maxGap = Math.max(maxGap, Math.abs(cell.gap));
+	});
+	return { cells, maxGap };
+}
+
+// Greedy rollout of bird `id` for `frames` frames on a copy of the
+// world, deciding every sim.actionRepeat frames. x is in
+// screen space at the current pipe positions (the bird "moves"
+// right as the pipes scroll left). One point per decision.
+// -> [{ x, y, frame, action, dead }]
+export function predictTrajectory(env, agent, id, frames) {
+	const sim = env.clone();
+	sim.birds.forEach(bird => {
+		if (bird.id !== id) bird.alive = false;
+	});
+	const repeat = env.actionRepeat;
+	let state = sim.observe(sim.birds[id]).state;
+	let traveled = 0;
+	const points = [];
+	while (sim.frame - env.frame < frames && !sim.done) {
+		const values = agent.actionValues([state], id);
+		if (!values) return null;
+		const q = values[0];
+		let best = 0;
+		for (let a = 1; a < q.length; a++) {
+			if (q[a] > q[best]) best = a;
+		}
+		const actions = [];
+		actions[id] = ACTIONS[best];
+		const speed = sim.pipeParams().pipeSpeed;
+		const before = sim.frame;
+		const result = sim.stepRepeat(actions, repeat)[id];
+		traveled -= speed * (sim.frame - before) * (STEP_MS / 1000);
+		const bird = sim.birds[id];
+		points.push({ x: bird.x + traveled, y: bird.y, frame: sim.frame - env.frame, action: actions[id], dead: result.done });
+		state = result.state;
+	}
+	return points;
+}
@@ -0,0 +1,78 @@
+import { SKINS } from '../config';
+
+// Shipped sprites are drawn at 2x, like the bird and pipe sizes in env/flappy.js
+export const PIXEL_SCALE = 2;
+export const SOUNDS = ['wing', 'point', 'hit', 'die', 'swoosh'];
+
+// Every sprite and sound, loaded once by the Title scene; textures,
+// animations and sounds are global, so the other scenes just use them
+export function preloadAssets(scene) {
+	scene.load.setPath('assets/sprites');
+	scene.load.image('bg-day', 'background-day.png');
+	scene.load.image('bg-night', 'background-night.png');
+	scene.load.image('base', 'base.png');
+	scene.load.image('message', 'message.png');
+	scene.load.image('gameover', 'gameover.png');
+	scene.load.image('pipeGreen', 'pipe-green.png');
+	scene.load.image('pipeRed', 'pipe-red.png');
+	for (let digit = 0; digit <= 9; digit++) {
+		scene.load.image(`digit-${digit}`, `${digit}.png`);
+	}
+	SKINS.forEach(skin => {
+		['up', 'mid', 'down'].forEach(frame => {
+			scene.load.image(`bird-${skin}-${frame}`, `${skin}bird-${frame}flap.png`);
+		});
+	});
+
+	scene.load.setPath('assets/audio');
+	SOUNDS.forEach(name => {
+		scene.load.audio(name, [`${name}.ogg`, `${name}.wav`]);
+	});
+}
+
+// Flapping animation per skin: 'fly-blue', 'fly-yellow', 'fly-red'
+export function createAnimations(scene) {
+	SKINS.forEach(skin => {
+		if (scene.anims.exists(`fly-${skin}`)) return;
+		scene.anims.create({
+			key: `fly-${skin}`,
+			frames: ['up', 'mid', 'down'].map(frame => ({ key: `bird-${skin}-${frame}` })),
+			frameRate: 10,
+			repeat: -1
+		});
+	});
+}
+
+// display.skin / display.background, with 'random' drawn here (cosmetic,
+// so Math.random and not the world's seeded streams)
+export function pickSkin(display) {
+	return display.skin === 'random' ? SKINS[Math.floor(Math.random() * SKINS.length)] : display.skin;
+}
+
+export function backgroundKey(display) {
+	const background = display.background === 'random'
+		? (Math.random() < 0.5 ? 'day' : 'night')
+		: display.background;
+	return `bg-${background}`;
+}
+
+export function addBackground(scene, key) {
+	const bg = scene.add.image(scene.scale.width / 2, scene.scale.height / 2, key);
+	bg.setDisplaySize(scene.scale.width, scene.scale.height);
+	return bg;
+}
+
+// Sound effects follow display.sound (M toggles it in every scene)
+export function applySound(scene, display) {
+	scene.sound.mute = !display.sound;
+}
+
+export function toggleSound(scene, display) {
+	display.sound = !display.sound;
+	applySound(scene, display);
+	return display.sound;
+}
+
+export function playSound(scene, name) {
+	if (!scene.sound.mute) scene.sound.play(name);
+}
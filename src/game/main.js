@@ -1,5 +1,16 @@
 import { Game as MainGame } from './scenes/Game';
+import { Replay } from './scenes/Replay';
+import { Title } from './scenes/Title';
+import { GameOver } from './scenes/GameOver';
 import { AUTO, Scale, Game } from 'phaser';
+import { configFromParams, createConfig, mergeConfig } from '../config';
+import { createConfigPanel } from '../ui/configPanel';
+import { createMetricsPanel } from '../ui/metricsPanel';
+import { createBrainPanel } from '../ui/brainPanel';
+import { createTracePanel } from '../ui/tracePanel';
+import { MetricsRecorder } from '../metrics/metrics';
+import { BrainStore } from '../storage/brainStore';
+import { DEMO_STORAGE_KEY, TraceStore } from '../storage/traceStore';
 
 // Find out more information about the Game Config at:
 // https://docs.phaser.io/api-documentation/typedef/types-core#gameconfig
@@ -19,14 +30,65 @@ const config = {
 	scale: {
 		mode: Scale.FIT,
 		autoCenter: Scale.CENTER_BOTH
-	},
-	scene: [
-		MainGame
-	]
+	}
 };
 
 const StartGame = (parent) => {
-	return new Game({ ...config, parent });
+	// Run config: defaults + URL overrides (?agent.gamma=0.95, ?seed=42, ...)
+	const params = new URLSearchParams(window.location.search);
+	const urlOverrides = configFromParams(params);
+	const runConfig = createConfig(urlOverrides);
+	// ?mode=eval: benchmark the saved brain instead of training it
+	// ?mode=play: a human plays, and the runs become demonstrations
+	const mode = ['eval', 'play'].includes(params.get('mode')) ? params.get('mode') : 'train';
+	if (mode === 'play') {
+		// Um pássaro, tempo real, uma decisão por frame
+		mergeConfig(runConfig, { population: { size: 1 }, sim: { speed: '1', actionRepeat: 1 } });
+	}
+
+	// Métricas persistem entre recargas da página
+	const metrics = new MetricsRecorder();
+	const store = new BrainStore();
+	const traces = new TraceStore({ keep: runConfig.recording.keep });
+	const demos = new TraceStore({ key: DEMO_STORAGE_KEY, keep: runConfig.demo.keep });
+	let brainPanel = null;
+
+	const mainScene = new MainGame(runConfig, urlOverrides, {
+		mode,
+		metrics: mode === 'play' ? null : metrics,
+		store,
+		traces,
+		demos,
+		slot: params.get('slot') || undefined, // ?slot=best para abrir o melhor cérebro
+		onCheckpoint: () => brainPanel?.refresh()
+	});
+	const game = new Game({ ...config, parent, scene: [new Title(runConfig, { mode }), mainScene, new GameOver(), new Replay()] });
+
+	createConfigPanel(document.getElementById('app'), runConfig, {
+		onApply: () => mainScene.applyConfig()
+	});
+	createMetricsPanel(document.getElementById('app'), metrics);
+	brainPanel = createBrainPanel(document.getElementById('app'), store, mainScene.agent.type, {
+		onSave: name => mainScene.saveSlot(name),
+		onLoad: name => mainScene.loadSlot(name),
+		onDownload: () => mainScene.downloadBrain(),
+		onUpload: file => mainScene.uploadBrain(file)
+	});
+	if (mode === 'play') {
+		createTracePanel(document.getElementById('app'), demos, {
+			title: 'Demonstrations',
+			empty: 'Play to record demonstrations',
+			onWatch: trace => mainScene.watchTrace(trace),
+			onUpload: file => mainScene.uploadDemo(file)
+		});
+	} else {
+		createTracePanel(document.getElementById('app'), traces, {
+			onWatch: trace => mainScene.watchTrace(trace),
+			onUpload: file => mainScene.uploadTrace(file)
+		});
+	}
+
+	return game;
 }
 
 export default StartGame;
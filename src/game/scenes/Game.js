@@ -1,386 +1,632 @@
 import Phaser from 'phaser';
-import {
-	ACTIONS, ACTION_FLAP, ACTION_IDLE,
-	DQNAgent, resetBrain, epsilon
-} from '../../rl/dqn';
+import { createAgent } from '../../rl/agents';
+import { ACTION_FLAP, ACTION_IDLE, FlappyEnv, BIRD_WIDTH, BIRD_HEIGHT, STATE_SIZE, STEP_MS } from '../../env/flappy';
+import { formatRewardTerms } from '../../env/rewards';
+import { Curriculum } from '../../env/curriculum';
+import { SIM_SPEEDS, createConfig, mergeConfig } from '../../config';
+import { deriveSeed, randomSeed } from '../../util/random';
+import { downloadJSON } from '../../util/download';
+import { formatReport, runEvaluation } from '../../rl/evaluate';
+import { readBrainFile } from '../../rl/brain';
+import { LATEST_SLOT } from '../../storage/brainStore';
+import { PolicyOverlay } from '../PolicyOverlay';
+import { PIXEL_SCALE, addBackground, applySound, backgroundKey, pickSkin, playSound, toggleSound } from '../assets';
+import { createDigitScore, createGround, scrollGround, syncPipeSprites } from '../sprites';
+import { TraceRecorder, checkTrace, describeTrace, readTraceFile } from '../../env/trace';
+import { DemoBuffer } from '../../rl/demos';
+import { formatDeaths } from '../../metrics/metrics';
+
+const DIE_SOUND_MS = 250; // 'die' toca logo depois de 'hit', como no original
+const MAX_FRAME_MS = 100; // Tempo real máximo simulado por quadro (x velocidade)
+const MAX_SPEED_BUDGET_MS = 30; // Velocidade 'max': simula por até N ms e desenha
 
 export class Game extends Phaser.Scene {
-	constructor() {
+	constructor(config, urlOverrides = {}, options = {}) {
 		super('Game');
+		this.mode = options.mode || 'train'; // 'train' | 'eval' | 'play'
+		this.metrics = options.metrics || null;
+		this.store = options.store || null; // Slots no IndexedDB
+		this.slot = options.slot || LATEST_SLOT; // Slot carregado ao abrir a página
+		this.traces = options.traces || null; // Melhores execuções gravadas
+		this.demos = options.demos || null; // Partidas humanas (modo play)
+		this.onCheckpoint = options.onCheckpoint || (() => { });
+		this.brainReady = false;
+		this.brainLoaded = false;
 		this.gameOver = false;
 		this.generation = 1;
 		this.highScore = 0;
-		this.lastState = null;
-		this.lastAction = null;
-		this.agent = new DQNAgent();
-	}
-
-	preload() {
-		this.load.setPath('assets/sprites');
-		this.load.image('bg', 'background-day.png');
-		this.load.image('bird_up', 'bluebird-upflap.png');
-		this.load.image('bird_mid', 'bluebird-midflap.png');
-		this.load.image('bird_down', 'bluebird-downflap.png');
-		this.load.image('pipeGreen', 'pipe-green.png');
-		this.load.image('pipeRed', 'pipe-red.png');
-	}
-
-	async create() {
-		if (this.generation === 1) {
-			const loaded = await this.agent.loadBrain();
-			if (loaded.success) {
-				this.generation = loaded.generation;
+		this.states = [];
+		this.overlayVisible = false; // Sobrevive aos restarts da cena
+		this.stepping = false;
+		this.playerFlap = false; // Flap pedido pelo humano para o próximo frame
+
+		// Config compartilhado por referência: env e agente leem ao vivo
+		this.config = config || createConfig();
+		this.urlOverrides = urlOverrides;
+		// DQN, neuroevolução ou Q-table, conforme config.agent.type
+		this.agent = createAgent(this.config);
+		this.env = new FlappyEnv({ config: this.config });
+		// Dificuldade dos canos conforme o desempenho (salva com o cérebro)
+		this.curriculum = new Curriculum(this.config);
+		this.recorder = new TraceRecorder();
+	}
+
+	// Assets come from the Title scene (see assets.js). data.flap: the
+	// tap that left the title screen also flaps (play mode, first time)
+	async create(data = {}) {
+		this.birdSprites = null;
+		const firstFlap = this.mode === 'play' && data.flap && !this.titleFlapUsed;
+		this.titleFlapUsed = true;
+
+		if (!this.brainReady) {
+			this.brainReady = true;
+			// No modo play quem joga é o humano: o cérebro salvo (e sua config) fica de fora
+			if (this.mode !== 'play') {
+				const loaded = await this.loadInitialBrain();
+				if (loaded.success) {
+					this.adoptBrain(loaded);
+					if (this.mode === 'train') await this.restoreReplay();
+				} else if (this.mode === 'train') {
+					await this.pretrainFromDemos();
+				}
 			}
 		}
 
-		this.gameOver = false;
-		this.score = 0;
-		this.lastState = null;
-		this.lastAction = null;
-		this.zones = [];
-		this.bonusReward = 0;
-		this.proximityReward = 0;
-
-		const bg = this.add.image(this.scale.width / 2, this.scale.height / 2, 'bg');
-		bg.setDisplaySize(this.scale.width, this.scale.height);
-
-		this.bird = this.physics.add.sprite(120, this.scale.height / 2, 'bird_mid');
-		this.bird.setGravityY(1000);
-		this.bird.setCollideWorldBounds(true);
-
-		if (!this.anims.exists('fly')) {
-			this.anims.create({
-				key: 'fly',
-				frames: [
-					{ key: 'bird_up' },
-					{ key: 'bird_mid' },
-					{ key: 'bird_down' }
-				],
-				frameRate: 10,
-				repeat: -1
-			});
+		if (this.mode === 'eval') {
+			await this.evaluate();
+			return;
 		}
-		this.bird.play('fly');
-		this.bird.setDisplaySize(68, 48);
-		this.bird.setBodySize(this.bird.width - 10, this.bird.height - 10);
-
-		this.pipes = this.physics.add.group();
 
-		this.scoreText = this.add.text(16, 16, 'Score: 0', {
-			fontSize: '32px',
-			fill: '#fff',
-			stroke: '#000',
-			strokeThickness: 4,
-		});
-
-		this.hudText = this.add.text(16, 50, '', {
+		this.gameOver = false;
+		this.episodeSeed = deriveSeed(this.config.seed, `episode:${this.generation}`);
+		this.env.difficulty = this.curriculum.difficulty();
+		this.env.reset(this.episodeSeed);
+		this.states = this.env.observeAll();
+		this.lastInfo = [];
+		this.lastActions = [];
+		this.aliveCount = this.env.birds.length;
+		this.simClock = 0;
+		this.agent.resetEpisode(this.env.birds.length);
+		this.metrics?.beginEpisode(this.generation);
+		this.recorder.beginEpisode(this.env, this.mode === 'play'
+			? { agentType: 'human', label: 'Human', generation: this.generation }
+			: { agentType: this.agent.type, label: this.agent.label, generation: this.generation });
+		this.pipeSprites = new Map();
+		this.groundFrame = 0; // Frame até onde o chão já rolou
+
+		const display = this.config.display;
+		applySound(this, display);
+		addBackground(this, backgroundKey(display));
+		this.ground = createGround(this);
+		this.scoreDigits = createDigitScore(this, this.scale.width / 2, 40);
+
+		this.hudText = this.add.text(16, 16, '', {
 			fontSize: '18px',
 			fill: '#ff0',
 			stroke: '#000',
 			strokeThickness: 3,
 		});
-
-		this.scoreText.setDepth(1000);
 		this.hudText.setDepth(1000);
+		this.hudText.setVisible(display.hud);
 
-		this.pipeTimer = this.time.addEvent({
-			delay: 2500,
-			callback: this.addPipeRow,
-			callbackScope: this,
-			loop: true,
+		// H esconde o HUD de depuração, M liga/desliga o som
+		this.input.keyboard.on('keydown-H', () => {
+			display.hud = !display.hud;
+			this.hudText.setVisible(display.hud);
 		});
+		this.input.keyboard.on('keydown-M', () => toggleSound(this, display));
 
-		this.physics.add.collider(this.bird, this.pipes, this.hitPipe, null, this);
-	}
-
-	async update() {
-		if (this.gameOver) return;
-
-		// 1. Observar Estado
-		const closestPipe = this.getClosestPipe();
-		const pipesAhead = this.zones.filter(zone => zone.active && zone.x > this.bird.x)
-			.sort((a, b) => a.x - b.x);  // Ordena por proximidade (trailing edge)
+		// V liga/desliga o mapa da política e a trajetória prevista
+		this.overlay = new PolicyOverlay(this, this.overlayVisible);
+		this.input.keyboard.on('keydown-V', () => {
+			this.overlayVisible = this.overlay.toggle();
+		});
 
-		let dx = 1058, dy = 0, velY = this.bird.body.velocity.y, gapHeight = 300,
-			dxNext = 1058, dyNext = 0, gapNext = 300;
+		if (this.mode === 'play') {
+			// Espaço, clique ou toque: o mundo só começa no primeiro flap
+			this.waitingForPlayer = true;
+			this.promptText = this.add.image(this.scale.width / 2, this.scale.height / 2 - 40, 'message')
+				.setScale(PIXEL_SCALE)
+				.setDepth(1000);
+			this.input.keyboard.on('keydown-SPACE', () => this.flap());
+			this.input.on('pointerdown', () => this.flap());
+		} else {
+			this.waitingForPlayer = false;
+			// T alterna a velocidade da simulação (1x, 4x, 16x, max)
+			this.input.keyboard.on('keydown-T', () => {
+				const sim = this.config.sim;
+				sim.speed = SIM_SPEEDS[(SIM_SPEEDS.indexOf(sim.speed) + 1) % SIM_SPEEDS.length];
+				this.simClock = 0;
+			});
+		}
 
-		if (pipesAhead.length > 0) {
-			const current = pipesAhead[0];
-			dx = current.x - this.bird.x;
-			dx = Math.max(0, dx);  // Clipa para 0 após passar o trailing edge
-			dy = this.bird.y - current.body.center.y;
-			gapHeight = current.height;
+		// População: todos semi-transparentes, o melhor em destaque
+		const population = this.env.birds.length;
+		const skin = pickSkin(display);
+		this.birdSprites = this.env.birds.map(bird => {
+			const sprite = this.add.sprite(bird.x, bird.y, `bird-${skin}-mid`);
+			sprite.play(`fly-${skin}`);
+			sprite.setDisplaySize(BIRD_WIDTH, BIRD_HEIGHT);
+			sprite.setDepth(10);
+			sprite.setAlpha(population > 1 ? 0.35 : 1);
+			return sprite;
+		});
+		if (firstFlap) this.flap();
+	}
 
-			if (pipesAhead.length > 1) {
-				const next = pipesAhead[1];
-				dxNext = next.x - this.bird.x;
-				dxNext = Math.max(0, dxNext);
-				dyNext = this.bird.y - next.body.center.y;
-				gapNext = next.height;
+	// Fixed timestep: the sim advances in whole decisions (actionRepeat
+	// frames of STEP_MS each) as real time x sim.speed accumulates, and
+	// the screen is drawn once per display frame. 'max' steps for a
+	// time budget instead. Speed never changes what the sim computes.
+	async update(time, delta) {
+		if (this.gameOver || !this.birdSprites || this.stepping) return;
+		if (this.waitingForPlayer) {
+			scrollGround(this.ground, -this.config.physics.pipeSpeed * delta / 1000);
+			return;
+		}
+		this.stepping = true; // update() não espera o async: evita passos sobrepostos
+		try {
+			const speed = this.config.sim.speed;
+			if (speed === 'max') {
+				const start = performance.now();
+				do {
+					await this.simStep();
+				} while (!this.gameOver && performance.now() - start < MAX_SPEED_BUDGET_MS);
+			} else {
+				const factor = Number(speed) || 1;
+				const decisionMs = STEP_MS * this.env.actionRepeat;
+				// Limite evita a espiral de passos depois de uma aba em segundo plano
+				this.simClock = Math.min(this.simClock + delta * factor, MAX_FRAME_MS * factor);
+				while (this.simClock >= decisionMs && !this.gameOver) {
+					this.simClock -= decisionMs;
+					await this.simStep();
+				}
 			}
+			if (!this.gameOver) this.render();
+		} finally {
+			this.stepping = false;
 		}
+	}
 
-		const currentState = [
-			dx / 1058,
-			dy / 400,
-			velY / 1000,
-			gapHeight / 400,
-			dxNext / 1058,
-			dyNext / 400,
-			gapNext / 400
-		];
-
-		// 2. Calcular Recompensa de Proximidade
-
-		// Recompensa de progresso (viva mais = avance mais) — evite negativos
-		const progressReward = Math.max(0, dx / 1058) * 0.1;
-
-		// Penalidade por velocidade vertical extrema (evita loops loucos) — sempre calculada
-		const velPenalty = Math.abs(velY) > 600 ? -0.2 : 0;
-
-		if (closestPipe) {
-			const gap = closestPipe.height;
-			const halfGap = gap / 2;
-			const absDy = Math.abs(dy);
-			const scale = halfGap * 1.5;
-			const absDyNorm = absDy / scale;
-
-			// Recompensa de proximidade (SEM velPenalty aqui, pra evitar dupla adição)
-			this.proximityReward = 1.0 * Math.exp(-absDyNorm * 2) - 0.5;
-			this.proximityReward = Math.max(this.proximityReward, -0.5);
+	// Human input (play mode): the bird flaps on the next sim frame
+	flap() {
+		if (this.mode !== 'play' || this.gameOver) return;
+		this.playerFlap = true;
+		if (this.waitingForPlayer) {
+			this.waitingForPlayer = false;
+			this.promptText.destroy();
+		}
+	}
+
+	// One decision: every live bird acts for sim.actionRepeat frames.
+	// In play mode the human decides and nothing learns; the episode
+	// is kept as a demonstration at the end.
+	async simStep() {
+		const env = this.env;
+		const states = this.states;
+		const repeat = env.actionRepeat;
+		const learning = this.mode === 'train';
+		const highlighted = this.bestBird();
+		const flaps = highlighted.flaps;
+		const score = env.score;
+
+		// 1. Escolher Ações (uma chamada para todos os pássaros vivos)
+		const alive = env.birds.filter(bird => bird.alive).map(bird => bird.id);
+		let chosen;
+		if (learning) {
+			chosen = await this.agent.chooseActions(alive.map(id => states[id]), alive);
+			if (this.gameOver) return;
 		} else {
-			this.proximityReward = 0;
+			chosen = alive.map(() => (this.playerFlap ? ACTION_FLAP : ACTION_IDLE));
+			this.playerFlap = false;
 		}
 
-		// 3. Armazenar Transição
-		if (this.lastState !== null && this.lastAction !== null) {
-			// Reward total — agora com velPenalty só uma vez
-			const reward = 1 + this.bonusReward + this.proximityReward + progressReward + velPenalty;
-
-			this.agent.replayBuffer.add(
-				this.lastState,
-				this.lastAction,
-				reward,
-				currentState,
-				this.gameOver
-			);
-			await this.agent.train();
+		const actions = [];
+		alive.forEach((id, k) => {
+			actions[id] = chosen[k];
+		});
+
+		// 2. Avançar o Ambiente
+		this.recorder.recordStep(env, actions, repeat);
+		const results = env.stepRepeat(actions, repeat);
+		this.gameOver = env.done;
+
+		// 3. Armazenar Transições (buffer compartilhado, uma fila n-step por pássaro)
+		results.forEach((result, id) => {
+			if (!result) return;
+			if (learning) this.agent.remember(states[id], actions[id], result.reward, result.state, result.done, id);
+			states[id] = result.state;
+			this.lastInfo[id] = result.info;
+		});
+		this.lastActions = actions;
+		this.aliveCount = alive.length;
+		if (this.audible()) {
+			if (highlighted.flaps > flaps) playSound(this, 'wing');
+			if (env.score > score) playSound(this, 'point');
+		}
+
+		if (env.done) {
+			this.render(); // Quadro final antes do Game Over
+			await this.onEpisodeEnd(results);
+			return;
 		}
-		this.bonusReward = 0;
 
-		// 4. Escolher Ação
-		const action = await this.agent.chooseAction(currentState);
+		// 4. Treinar
+		if (!learning) return;
+		const loss = await this.agent.train();
+		this.metrics?.recordStep(results, loss, this.agent.stats());
+	}
 
-		// 5. Executar Ação
-		let actionStr = "IDLE";
-		if (action === ACTION_FLAP) {
-			actionStr = "FLAP";
-			if (this.bird.body.velocity.y > -100) {
-				this.flap();
+	// Sprites, score and HUD for the highlighted bird
+	render() {
+		const env = this.env;
+		const best = this.bestBird();
+		this.syncSprites(best);
+		this.scoreDigits.setValue(env.score);
+		scrollGround(this.ground, -env.pipeParams().pipeSpeed * (env.frame - this.groundFrame) * (STEP_MS / 1000));
+		this.groundFrame = env.frame;
+
+		const info = this.lastInfo[best.id];
+		if (env.done || !info) return;
+		const f = info.features;
+		const repeat = env.actionRepeat;
+		const playing = this.mode === 'play';
+		const agentLines = playing ? [`Demos: ${this.demos?.traces.length ?? 0}`] : this.agent.hudLines(best.id, this.states[best.id]);
+		const level = this.curriculum.hudLine();
+		const replay = playing ? null : this.agent.replayUsage();
+		this.hudText.setText(
+			`Gen: ${this.generation}\n` +
+			`Seed: ${this.config.seed}\n` +
+			`Algo: ${playing ? 'Human' : this.agent.label}\n` +
+			`High: ${this.highScore}\n` +
+			`Speed: ${this.config.sim.speed === 'max' ? 'max' : this.config.sim.speed + 'x'}` +
+			(repeat > 1 ? `, repeat ${repeat}\n` : '\n') +
+			(level ? level + '\n' : '') +
+			(env.birds.length > 1
+				? `Alive: ${this.aliveCount}/${env.birds.length}\n` +
+				`Best: #${best.id}\n`
+				: '') +
+			agentLines.map(line => line + '\n').join('') +
+			(replay ? `Replay: ${replay.size}/${replay.capacity} (${(replay.bytes / 2 ** 20).toFixed(1)} MB)\n` : '') +
+			`DX: ${Math.floor(f.dx)}\n` +
+			`DY: ${Math.floor(f.dy)}\n` +
+			`VelY: ${Math.floor(f.velY)}\n` +
+			`Gap: ${Math.floor(f.gapHeight)}\n` +
+			`DXNext: ${Math.floor(f.dxNext)}\n` +
+			`DYNext: ${Math.floor(f.dyNext)}\n` +
+			`GapNext: ${Math.floor(f.gapNext)}\n` +
+			env.features.slice(STATE_SIZE).map(name => `${name}: ${f[name].toFixed(2)}\n`).join('') +
+			`Prox: ${(info.rewards.proximity ?? 0).toFixed(2)}\n` +
+			`Action: ${this.lastActions[best.id] === ACTION_FLAP ? 'FLAP' : 'IDLE'}`
+		);
+		this.overlay.update(env, this.agent, best);
+	}
+
+	// Benchmark mode: greedy, no remember/train/save, fixed eval seeds.
+	// Runs the sim without rendering and shows the report when done.
+	async evaluate() {
+		addBackground(this, backgroundKey(this.config.display));
+
+		const style = {
+			fontFamily: 'monospace',
+			fontSize: '18px',
+			fill: '#fff',
+			stroke: '#000',
+			strokeThickness: 3,
+		};
+		const note = this.brainLoaded
+			? `Brain: gen ${this.generation}, seed ${this.config.seed}`
+			: 'No saved brain: evaluating an untrained agent';
+		const text = this.add.text(16, 16, note, style).setDepth(1000);
+
+		const report = await runEvaluation(this.agent, this.config, {
+			meta: { brainGeneration: this.brainLoaded ? this.generation : null },
+			onProgress: async ({ index, total, frame, score }) => {
+				text.setText(`${note}\nEvaluating ${index + 1}/${total}: frame ${frame}, score ${score}`);
+				// Devolve o controle ao navegador para desenhar
+				await new Promise(resolve => setTimeout(resolve, 0));
 			}
-		}
+		});
+		console.log(formatReport(report));
+		text.setText(`${note}\n\n${formatReport(report)}`);
+
+		const save = () => downloadJSON(`flappy-eval-${report.createdAt.replace(/[:.]/g, '-')}.json`, report);
+		this.add.text(16, text.y + text.height + 16, '[ Download report (D) ]', { ...style, fill: '#ff0' })
+			.setDepth(1000)
+			.setInteractive({ useHandCursor: true })
+			.on('pointerdown', save);
+		this.input.keyboard.on('keydown-D', save);
+	}
 
-		// 6. Armazenar para Próximo Frame
-		this.lastState = currentState;
-		this.lastAction = action;
+	// Melhor pássaro vivo: maior pontuação, empate fica com o menor id
+	bestBird() {
+		const birds = this.env.birds;
+		const candidates = birds.some(bird => bird.alive) ? birds.filter(bird => bird.alive) : birds;
+		return candidates.reduce((best, bird) => (bird.score > best.score ? bird : best));
+	}
 
-		// 7. Física e Limpeza
-		if (this.bird.angle < 20) {
-			this.bird.angle += 1;
+	// Called after the run config changed (brain load or config panel)
+	applyConfig() {
+		const seed = this.config.seed ?? randomSeed();
+		if (seed !== this.agent.seed) {
+			this.agent.setSeed(seed);
 		}
+		this.agent.applyConfig();
+	}
 
-		this.pipes.getChildren().forEach((pipe) => {
-			const w = (pipe.displayWidth !== undefined) ? pipe.displayWidth : (pipe.width || 0);
-			if (pipe.x + w < 0) pipe.destroy();
+	syncSprites(best) {
+		const { birds, pipes } = this.env;
+		const population = birds.length;
+		birds.forEach((bird, id) => {
+			const sprite = this.birdSprites[id];
+			sprite.setVisible(bird.alive || population === 1);
+			sprite.setPosition(bird.x, bird.y);
+			sprite.angle = bird.angle;
+			if (population > 1) {
+				const isBest = bird === best;
+				sprite.setAlpha(isBest ? 1 : 0.35);
+				sprite.setDepth(isBest ? 11 : 10);
+			}
 		});
 
-		if (this.zones) {
-			for (let i = this.zones.length - 1; i >= 0; i--) {
-				const zone = this.zones[i];
-				if (zone.x + zone.width < 0) {
-					zone.destroy();
-					this.zones.splice(i, 1);
-				}
-			}
-		}
+		syncPipeSprites(this, this.pipeSprites, pipes);
+	}
 
-		if (this.bird.y > this.scale.height + 50 || this.bird.y < -50) {
-			this.hitPipe();
+	async onEpisodeEnd(results) {
+		if (this.mode === 'play') {
+			this.keepDemo();
+			this.highScore = Math.max(this.highScore, this.env.score);
+			this.generation++;
+			this.endGame();
+			return;
+		}
+		const loss = await this.agent.train();
+		const stats = this.agent.stats();
+		this.metrics?.recordStep(results, loss, stats);
+		const episode = this.metrics?.endEpisode(this.env, stats);
+		if (episode) {
+			this.logEpisode(`Gen ${this.generation} reward terms (per bird): ${formatRewardTerms(episode.rewards)}`);
+			this.logEpisode(`Gen ${this.generation} deaths: ${formatDeaths(episode.deaths)}`);
 		}
+		await this.agent.endEpisode(this.env.birds);
+		this.keepTrace();
 
-		// 8. Atualizar HUD
-		const qValues = this.agent.getQValues(currentState);
-		this.hudText.setText(
-			`Gen: ${this.generation}\n` +
-			`High: ${this.highScore}\n` +
-			`Epsilon: ${epsilon.toFixed(4)}\n` +
-			`DX: ${Math.floor(dx)}\n` +
-			`DY: ${Math.floor(dy)}\n` +
-			`VelY: ${Math.floor(velY)}\n` +
-			`Gap: ${Math.floor(gapHeight)}\n` +
-			`DXNext: ${Math.floor(dxNext)}\n` +
-			`DYNext: ${Math.floor(dyNext)}\n` +
-			`GapNext: ${Math.floor(gapNext)}\n` +
-			`Prox: ${this.proximityReward.toFixed(2)}\n` +
-			`Q-Idle: ${qValues[ACTION_IDLE].toFixed(2)}\n` +
-			`Q-Flap: ${qValues[ACTION_FLAP].toFixed(2)}\n` +
-			`Action: ${actionStr}`
-		);
+		this.highScore = Math.max(this.highScore, this.env.score);
+		if (this.curriculum.recordEpisode(this.env.score)) {
+			this.logEpisode(`Curriculum: level ${this.curriculum.level}/${this.curriculum.maxLevel} at gen ${this.generation}`);
+		}
+		this.generation++;
+		await this.autosave();
 
+		this.endGame();
 	}
 
-	flap() {
-		if (this.gameOver) return;
-		this.bird.setVelocityY(-350);
-		this.bird.angle = -20;
+	// Per-episode details flood the console at turbo speed; the metrics
+	// panel charts them anyway, so they only print with display.logEpisodes
+	logEpisode(message) {
+		if (this.config.display.logEpisodes) console.log(message);
 	}
 
-	getClosestPipe() {
-		let closest = null;
-		let minDist = Infinity;
+	/* ---- DEMONSTRATIONS ---- */
 
-		if (!this.zones) return null;
+	// Play mode: the human's run, if it ranks among the kept demonstrations
+	keepDemo() {
+		const trace = this.recorder.endEpisode(this.env);
+		if (trace && this.demos?.add(trace, this.config.demo.keep)) {
+			console.log(`Demonstration recorded: ${describeTrace(trace)}`);
+		}
+	}
 
-		this.zones.forEach(zone => {
-			if (zone.active && zone.x > this.bird.x) {
-				const dist = zone.x - this.bird.x;
-				if (dist < minDist) {
-					minDist = dist;
-					closest = zone;
-				}
+	async uploadDemo(file) {
+		const trace = await readTraceFile(file);
+		if (!this.demos.add(trace, this.config.demo.keep)) {
+			throw new Error(`${file.name} (${describeTrace(trace)}) doesn't rank among the best ${this.config.demo.keep} demonstrations`);
+		}
+		return `Demonstration added: ${describeTrace(trace)}`;
+	}
+
+	// Fresh brain and demo.pretrain set: warm start on the stored
+	// demonstrations before the first episode
+	async pretrainFromDemos() {
+		const method = this.config.demo.pretrain;
+		if (method === 'none' || !this.demos?.traces.length) return;
+		const buffer = new DemoBuffer(this.config);
+		this.demos.traces.forEach(trace => {
+			try {
+				buffer.addTrace(trace);
+			} catch (e) {
+				console.warn(`Demonstration ${trace.id} skipped:`, e.message);
 			}
 		});
+		if (buffer.size() === 0) return;
 
-		return closest;
-	}
-
-	addPipeRow() {
-		const gap = Phaser.Math.Between(200, 410);
-		const centerY = Phaser.Math.Between(150, this.scale.height - 150);
-		const x = this.scale.width + 50;
-
-		const pipeKey = Phaser.Math.Between(0, 1) === 0 ? 'pipeGreen' : 'pipeRed';
-		const top = this.pipes.create(x, centerY - gap / 2, pipeKey).setOrigin(0, 1);
-		top.body.allowGravity = false;
-		top.setImmovable(true);
-		top.setVelocityX(-200);
-		top.setFlipY(true);
-		top.setDisplaySize(104, 640);
-
-		const topMouthBottomY = centerY - gap / 2;
-		const topMouthHeight = top.displayHeight;
-		const topMouthTopY = topMouthBottomY - topMouthHeight;
-		const topBodyHeight = Math.max(0, Math.floor(topMouthTopY));
-		if (topBodyHeight > 0) {
-			const topBody = this.add.rectangle(x + top.displayWidth / 2, topMouthTopY / 2, top.displayWidth, topBodyHeight);
-			topBody.setOrigin(0.5, 0.5);
-			this.physics.add.existing(topBody);
-			topBody.body.setAllowGravity(false);
-			topBody.body.setImmovable(true);
-			topBody.body.setVelocityX(-200);
-			topBody.setVisible(false);
-			this.pipes.add(topBody);
+		const text = this.add.text(16, 16, '', {
+			fontFamily: 'monospace',
+			fontSize: '18px',
+			fill: '#fff',
+			stroke: '#000',
+			strokeThickness: 3,
+		}).setDepth(1000);
+		try {
+			await this.agent.pretrain(buffer, {
+				onProgress: async ({ step, total, loss }) => {
+					text.setText(`Pretraining (${method}) on ${buffer.size()} demonstration frames\n${step}/${total} batches, loss ${loss.toFixed(4)}`);
+					// Devolve o controle ao navegador para desenhar
+					await new Promise(resolve => setTimeout(resolve, 0));
+				}
+			});
+		} catch (e) {
+			console.warn('Pretraining skipped:', e.message);
 		}
+		text.destroy();
+	}
 
-		const bottom = this.pipes.create(x, centerY + gap / 2, pipeKey).setOrigin(0, 0);
-		bottom.body.allowGravity = false;
-		bottom.setImmovable(true);
-		bottom.setVelocityX(-200);
-		bottom.setDisplaySize(104, 640);
-
-		const bottomMouthTopY = centerY + gap / 2;
-		const bottomMouthHeight = bottom.displayHeight;
-		const startY = bottomMouthTopY + bottomMouthHeight;
-		const bottomBodyHeight = Math.max(0, this.scale.height - startY);
-		if (bottomBodyHeight > 0) {
-			const bottomBodyCenterY = startY + bottomBodyHeight / 2;
-			const bottomBody = this.add.rectangle(x + bottom.displayWidth / 2, bottomBodyCenterY, bottom.displayWidth, bottomBodyHeight);
-			bottomBody.setOrigin(0.5, 0.5);
-			this.physics.add.existing(bottomBody);
-			bottomBody.body.setAllowGravity(false);
-			bottomBody.body.setImmovable(true);
-			bottomBody.body.setVelocityX(-200);
-			bottomBody.setVisible(false);
-			this.pipes.add(bottomBody);
+	/* ---- RECORDED RUNS ---- */
+
+	// Best bird of the episode, if it ranks among the kept runs
+	keepTrace() {
+		if (!this.traces || !this.config.recording.enabled) return;
+		const trace = this.recorder.endEpisode(this.env);
+		if (trace && this.traces.add(trace, this.config.recording.keep)) {
+			this.logEpisode(`Run recorded: ${describeTrace(trace)}`);
 		}
+	}
 
-		// Zone movida para o final do cano (borda trailing / direita, x + 104)
-		const zone = this.add.zone(x + 104, centerY, 2, gap);
-		this.physics.world.enable(zone);
-		zone.body.setVelocityX(-200);
-		zone.body.allowGravity = false;
-		zone.scored = false;
-		zone.active = true;
-
-		if (!this.zones) this.zones = [];
-		this.zones.push(zone);
-
-		this.physics.add.overlap(this.bird, zone, (bird, z) => {
-			if (!z.scored) {
-				z.scored = true;
-				this.score++;
-				this.scoreText.setText('Score: ' + this.score);
-				this.bonusReward = 15;
+	// Pauses training and opens the viewer on top; Esc comes back
+	async watchTrace(trace) {
+		checkTrace(trace);
+		this.scene.pause();
+		this.scene.pause('GameOver'); // Se estiver aberta, espera o replay fechar
+		this.scene.launch('Replay', {
+			trace,
+			display: this.config.display,
+			onClose: () => {
+				this.scene.stop('Replay');
+				this.scene.resume('GameOver');
+				this.scene.resume();
 			}
 		});
 	}
 
-	async hitPipe() {
-		if (this.gameOver) return;
-		this.gameOver = true;
+	async uploadTrace(file) {
+		await this.watchTrace(await readTraceFile(file));
+	}
 
-		const deathReward = -50;
-		if (this.lastState !== null && this.lastAction !== null) {
-			const reward = deathReward;
-			const terminalState = [0, 0, 0, 0, 0, 0, 0];
-			this.agent.replayBuffer.add(
-				this.lastState,
-				this.lastAction,
-				reward,
-				terminalState,
-				true
-			);
-			await this.agent.train();
+	/* ---- BRAINS & CHECKPOINTS ---- */
+
+	// Slot pedido (?slot=, padrão "latest"); sem ele, o cérebro antigo do localStorage
+	async loadInitialBrain() {
+		if (this.store?.available) {
+			try {
+				const bundle = await this.store.load(this.agent.type, this.slot);
+				if (bundle) return { success: true, ...(await this.importBrain(bundle)) };
+				console.log(`No "${this.slot}" brain slot yet`);
+			} catch (e) {
+				console.error(`Could not load brain slot "${this.slot}":`, e.message);
+			}
 		}
+		return this.agent.loadLegacyBrain();
+	}
 
-		this.highScore = Math.max(this.highScore, this.score);
-		this.generation++;
-		await this.agent.saveBrain(this.generation);
+	adoptBrain(loaded) {
+		const agentType = this.config.agent.type;
+		this.brainLoaded = true;
+		this.generation = loaded.generation;
+		// Config do cérebro salvo, com a URL por cima
+		mergeConfig(this.config, loaded.config);
+		mergeConfig(this.config, this.urlOverrides);
+		// O tipo do agente já foi escolhido ao montar a cena
+		this.config.agent.type = agentType;
+		this.curriculum.restore(loaded.curriculum);
+		this.applyConfig();
+	}
 
-		this.endGame();
+	// Agent bundle plus the scene state that travels with it
+	async exportBrain() {
+		const bundle = await this.agent.exportBrain(this.generation);
+		bundle.curriculum = this.curriculum.toJSON();
+		return bundle;
 	}
 
-	endGame() {
-		if (this.pipeTimer) {
-			try { this.pipeTimer.remove(false); } catch (e) { }
-			this.pipeTimer = null;
+	async importBrain(bundle) {
+		return { ...(await this.agent.importBrain(bundle)), curriculum: bundle.curriculum };
+	}
+
+	// "latest" every episode, "best" only when this episode beat it
+	async autosave() {
+		if (!this.store?.available) return;
+		try {
+			const bundle = await this.exportBrain();
+			if (await this.store.autosave(bundle, this.env.score)) {
+				console.log('New best brain! Score:', this.env.score, 'Gen:', this.generation);
+			}
+			const every = this.config.replay.persistEvery;
+			if (every > 0 && this.generation % every === 0) await this.saveReplay();
+			this.onCheckpoint();
+		} catch (e) {
+			console.error('Brain autosave failed:', e);
 		}
-		if (this.pipes) {
-			try { this.pipes.setVelocityX(0); } catch (e) { }
+	}
+
+	async saveSlot(name) {
+		const bundle = await this.exportBrain();
+		await this.store.save(name, bundle, { score: this.highScore });
+		if (this.config.replay.persistEvery > 0) await this.saveReplay();
+	}
+
+	// One snapshot per agent type: the experience of the running session
+	async saveReplay() {
+		const snapshot = await this.agent.exportReplay();
+		if (snapshot) await this.store.saveReplay(this.agent.type, snapshot, this.generation);
+	}
+
+	// After the page (re)loads a brain, so training goes on with its
+	// experience instead of an empty buffer
+	async restoreReplay() {
+		if (!this.store?.available || !(this.config.replay.persistEvery > 0)) return;
+		try {
+			const snapshot = await this.store.loadReplay(this.agent.type);
+			if (!snapshot) return;
+			const restored = await this.agent.importReplay(snapshot);
+			console.log(`Replay buffer restored: ${restored} transitions`);
+		} catch (e) {
+			console.error('Could not restore the replay buffer:', e.message);
 		}
-		if (this.bird && this.bird.body) {
-			try {
-				this.bird.setVelocity(0);
-				this.bird.body.setAllowGravity(false);
-			} catch (e) { }
+	}
+
+	async loadSlot(name) {
+		const bundle = await this.store.load(this.agent.type, name);
+		if (!bundle) throw new Error(`No "${name}" slot for a ${this.agent.type} agent`);
+		await this.restoreBrain(bundle);
+	}
+
+	async downloadBrain() {
+		const bundle = await this.exportBrain();
+		downloadJSON(`flappy-${this.agent.type}-gen${this.generation}.brain.json`, bundle);
+	}
+
+	async uploadBrain(file) {
+		await this.restoreBrain(await readBrainFile(file));
+	}
+
+	// Imports (throws on an incompatible bundle, leaving the agent as it
+	// was) and restarts the world without training on the cut episode
+	async restoreBrain(bundle) {
+		const loaded = await this.importBrain(bundle);
+		this.adoptBrain(loaded);
+		this.gameOver = true;
+		this.time.removeAllEvents();
+		this.scene.stop('GameOver');
+		this.anims.resumeAll();
+		this.scene.restart();
+	}
+
+	endGame() {
+		// Em turbo não há pausa de Game Over entre episódios
+		if (this.config.sim.speed !== '1') {
+			this.scene.restart();
+			return;
 		}
-		try { this.physics.pause(); } catch (e) { }
 		try { this.anims.pauseAll(); } catch (e) { }
+		if (this.audible()) {
+			playSound(this, 'hit');
+			this.time.delayedCall(DIE_SOUND_MS, () => playSound(this, 'die'));
+		}
 
-		this.add
-			.text(this.scale.width / 2, this.scale.height / 2 - 40, 'Game Over', {
-				fontSize: '64px',
-				fill: '#fff',
-				stroke: '#000',
-				strokeThickness: 6,
-			})
-			.setOrigin(0.5)
-			.setDepth(1000);
-
-		this.time.delayedCall(500, () => {
-			this.anims.resumeAll();
-			this.physics.resume();
-			this.scene.restart();
+		this.scene.launch('GameOver', {
+			score: this.env.score,
+			best: this.highScore,
+			waitForPlayer: this.mode === 'play',
+			onContinue: () => {
+				this.scene.stop('GameOver');
+				this.anims.resumeAll();
+				this.scene.restart();
+			}
 		});
 	}
-}
\ No newline at end of file
+
+	// Sound effects only make sense in real time
+	audible() {
+		return this.mode !== 'eval' && this.config.sim.speed === '1';
+	}
+}
@@ -0,0 +1,68 @@
+import Phaser from 'phaser';
+import { PIXEL_SCALE, playSound } from '../assets';
+import { createDigitScore } from '../sprites';
+
+const CONTINUE_MS = 500; // Pausa entre episódios no treino
+const INPUT_DELAY_MS = 400; // No modo play, ignora o flap que matou o pássaro
+
+// Launched over the Game scene when an episode ends at 1x speed:
+// "Game Over" card with score and best in digit sprites. Training
+// continues by itself after a short pause; in play mode Space,
+// click or tap plays again.
+export class GameOver extends Phaser.Scene {
+	constructor() {
+		super('GameOver');
+	}
+
+	init({ score, best, waitForPlayer = false, onContinue }) {
+		this.score = score;
+		this.best = best;
+		this.waitForPlayer = waitForPlayer;
+		this.onContinue = onContinue || (() => { });
+	}
+
+	create() {
+		const cx = this.scale.width / 2;
+		const cy = this.scale.height / 2;
+		this.done = false;
+
+		const card = this.add.image(cx, cy - 150, 'gameover').setScale(PIXEL_SCALE);
+		card.setAlpha(0);
+		this.tweens.add({ targets: card, alpha: 1, y: cy - 130, duration: 200 });
+
+		// Placar no estilo do jogo original
+		const panel = this.add.graphics();
+		panel.fillStyle(0x543847, 1);
+		panel.fillRoundedRect(cx - 164, cy - 74, 328, 164, 12);
+		panel.fillStyle(0xded895, 1);
+		panel.fillRoundedRect(cx - 158, cy - 68, 316, 152, 10);
+
+		const label = { fontFamily: 'monospace', fontSize: '20px', fill: '#e86101', fontStyle: 'bold' };
+		this.add.text(cx, cy - 60, 'SCORE', label).setOrigin(0.5, 0);
+		createDigitScore(this, cx, cy - 34, { scale: 1.5 }).setValue(this.score);
+		this.add.text(cx, cy + 10, 'BEST', label).setOrigin(0.5, 0);
+		createDigitScore(this, cx, cy + 36, { scale: 1.5 }).setValue(this.best);
+
+		if (!this.waitForPlayer) {
+			this.time.delayedCall(CONTINUE_MS, () => this.continue());
+			return;
+		}
+		this.add.text(cx, cy + 120, 'Space, click or tap to play again', {
+			fontSize: '24px',
+			fill: '#fff',
+			stroke: '#000',
+			strokeThickness: 4,
+		}).setOrigin(0.5, 0);
+		this.time.delayedCall(INPUT_DELAY_MS, () => {
+			this.input.keyboard.on('keydown-SPACE', () => this.continue());
+			this.input.on('pointerdown', () => this.continue());
+		});
+	}
+
+	continue() {
+		if (this.done) return;
+		this.done = true;
+		if (this.waitForPlayer) playSound(this, 'swoosh');
+		this.onContinue();
+	}
+}
@@ -0,0 +1,134 @@
+import Phaser from 'phaser';
+import { BIRD_WIDTH, BIRD_HEIGHT, STEP_MS } from '../../env/flappy';
+import { TracePlayer, describeTrace } from '../../env/trace';
+import { addBackground, backgroundKey, pickSkin } from '../assets';
+import { createGround, scrollGround, syncPipeSprites } from '../sprites';
+
+const SPEEDS = [0.125, 0.25, 0.5, 1, 2, 4];
+const TIMELINE_HEIGHT = 14;
+const TIMELINE_MARGIN = 16;
+
+// Viewer for a recorded episode (see env/trace.js), launched on top
+// of the paused Game scene. Space pause, ←/→ one frame (Shift: 1 s),
+// ↑/↓ speed, R restart, click/drag the timeline to scrub, Esc close.
+export class Replay extends Phaser.Scene {
+	constructor() {
+		super('Replay');
+	}
+
+	// display: the page's skin/background choice (else the recorded one)
+	init({ trace, display, onClose }) {
+		this.trace = trace;
+		this.display = display || null;
+		this.onClose = onClose || (() => { });
+	}
+
+	create() {
+		this.player = new TracePlayer(this.trace);
+		this.paused = false;
+		this.speedIndex = SPEEDS.indexOf(1);
+		this.accumulator = 0;
+		this.pipeSprites = new Map();
+
+		const display = this.display || this.player.config.display;
+		addBackground(this, backgroundKey(display));
+		this.ground = createGround(this);
+
+		const skin = pickSkin(display);
+		this.birdSprite = this.add.sprite(0, 0, `bird-${skin}-mid`);
+		this.birdSprite.play(`fly-${skin}`);
+		this.birdSprite.setDisplaySize(BIRD_WIDTH, BIRD_HEIGHT);
+		this.birdSprite.setDepth(10);
+
+		this.infoText = this.add.text(16, 16, '', {
+			fontFamily: 'monospace',
+			fontSize: '16px',
+			fill: '#fff',
+			stroke: '#000',
+			strokeThickness: 3,
+		}).setDepth(1000);
+
+		this.timeline = this.add.graphics().setDepth(1000);
+		const timelineTop = this.scale.height - TIMELINE_MARGIN - TIMELINE_HEIGHT;
+		const seekTo = pointer => {
+			if (pointer.y < timelineTop - 8) return;
+			const width = this.scale.width - 2 * TIMELINE_MARGIN;
+			this.seek(((pointer.x - TIMELINE_MARGIN) / width) * this.player.length);
+		};
+		this.input.on('pointerdown', seekTo);
+		this.input.on('pointermove', pointer => {
+			if (pointer.isDown) seekTo(pointer);
+		});
+
+		const keyboard = this.input.keyboard;
+		keyboard.on('keydown-SPACE', () => {
+			this.paused = !this.paused;
+		});
+		keyboard.on('keydown-RIGHT', event => this.seek(this.player.frame + (event.shiftKey ? 60 : 1)));
+		keyboard.on('keydown-LEFT', event => this.seek(this.player.frame - (event.shiftKey ? 60 : 1)));
+		keyboard.on('keydown-UP', () => {
+			this.speedIndex = Math.min(SPEEDS.length - 1, this.speedIndex + 1);
+		});
+		keyboard.on('keydown-DOWN', () => {
+			this.speedIndex = Math.max(0, this.speedIndex - 1);
+		});
+		keyboard.on('keydown-R', () => this.seek(0));
+		keyboard.on('keydown-ESC', () => this.onClose());
+
+		this.draw();
+	}
+
+	// Scrubbing pauses playback on the chosen frame
+	seek(frame) {
+		this.player.seek(frame);
+		this.paused = true;
+		this.accumulator = 0;
+		this.draw();
+	}
+
+	update(time, delta) {
+		if (!this.paused && !this.player.done) {
+			// Passo fixo da simulação; a velocidade só muda quantos passos cabem no quadro
+			this.accumulator += delta * SPEEDS[this.speedIndex];
+			while (this.accumulator >= STEP_MS && !this.player.done) {
+				this.player.step();
+				this.accumulator -= STEP_MS;
+			}
+		}
+		this.draw();
+	}
+
+	draw() {
+		const { player, trace } = this;
+		const bird = player.bird;
+		this.birdSprite.setPosition(bird.x, bird.y);
+		this.birdSprite.angle = bird.angle;
+		this.birdSprite.setTint(bird.alive ? 0xffffff : 0xff4444);
+		syncPipeSprites(this, this.pipeSprites, player.env.pipes);
+		// Chão na posição do frame (também ao voltar no tempo)
+		this.ground.tilePositionX = 0;
+		scrollGround(this.ground, -player.env.pipeParams().pipeSpeed * player.frame * (STEP_MS / 1000));
+
+		const state = player.done ? 'END' : this.paused ? 'PAUSED' : 'PLAYING';
+		const action = player.frame > 0 && trace.actions[player.frame - 1] === '1' ? 'FLAP' : 'IDLE';
+		this.infoText.setText(
+			`REPLAY ${state}  x${SPEEDS[this.speedIndex]}\n` +
+			`${describeTrace(trace)}\n` +
+			(trace.agentType ? `Agent: ${trace.label || trace.agentType}, seed ${trace.seed}\n` : '') +
+			`Frame: ${player.frame}/${player.length}\n` +
+			`Score: ${bird.score}\n` +
+			`Action: ${action}\n` +
+			(player.desync !== null ? `DESYNC at frame ${player.desync}: this build plays the run differently\n` : '') +
+			'\nSpace pause  ←/→ frame (Shift 1 s)  ↑/↓ speed  R restart  Esc close'
+		);
+
+		const g = this.timeline;
+		const width = this.scale.width - 2 * TIMELINE_MARGIN;
+		const top = this.scale.height - TIMELINE_MARGIN - TIMELINE_HEIGHT;
+		g.clear();
+		g.fillStyle(0x000000, 0.5);
+		g.fillRect(TIMELINE_MARGIN, top, width, TIMELINE_HEIGHT);
+		g.fillStyle(0xffb74d, 1);
+		g.fillRect(TIMELINE_MARGIN, top, width * (player.length ? player.frame / player.length : 0), TIMELINE_HEIGHT);
+	}
+}
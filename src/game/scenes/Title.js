@@ -0,0 +1,101 @@
+import Phaser from 'phaser';
+import { BIRD_WIDTH, BIRD_HEIGHT, BIRD_X } from '../../env/flappy';
+import { SKINS } from '../../config';
+import { PIXEL_SCALE, addBackground, applySound, backgroundKey, createAnimations, pickSkin, playSound, preloadAssets, toggleSound } from '../assets';
+import { createGround, scrollGround } from '../sprites';
+
+const AUTOSTART_MS = 3000; // Treino sem ninguém olhando começa sozinho
+const SKIN_CHOICES = [...SKINS, 'random'];
+
+// First scene: loads every asset, then shows the "Get Ready" card
+// with the bird bobbing over the scrolling ground. Space, click or
+// tap starts (in play mode that tap is also the first flap); ←/→
+// skin, B background, M sound. Training and eval start by themselves.
+export class Title extends Phaser.Scene {
+	constructor(config, { mode = 'train' } = {}) {
+		super('Title');
+		this.config = config;
+		this.mode = mode;
+	}
+
+	preload() {
+		preloadAssets(this);
+	}
+
+	create() {
+		const display = this.config.display;
+		const { width, height } = this.scale;
+		createAnimations(this);
+		applySound(this, display);
+		this.started = false;
+
+		this.background = addBackground(this, backgroundKey(display));
+		this.ground = createGround(this);
+		this.add.image(width / 2, height / 2 - 40, 'message').setScale(PIXEL_SCALE);
+
+		this.bird = this.add.sprite(BIRD_X, height / 2, 'bird-blue-mid');
+		this.bird.setDisplaySize(BIRD_WIDTH, BIRD_HEIGHT);
+		this.showSkin();
+
+		this.infoText = this.add.text(width / 2, height - 80, '', {
+			fontFamily: 'monospace',
+			fontSize: '18px',
+			fill: '#fff',
+			stroke: '#000',
+			strokeThickness: 4,
+			align: 'center',
+		}).setOrigin(0.5, 1).setDepth(10);
+		this.showInfo();
+
+		const keyboard = this.input.keyboard;
+		keyboard.on('keydown-SPACE', () => this.start());
+		keyboard.on('keydown-LEFT', () => this.cycleSkin(-1));
+		keyboard.on('keydown-RIGHT', () => this.cycleSkin(1));
+		keyboard.on('keydown-B', () => {
+			const backgrounds = ['day', 'night', 'random'];
+			display.background = backgrounds[(backgrounds.indexOf(display.background) + 1) % backgrounds.length];
+			this.background.setTexture(backgroundKey(display));
+			this.showInfo();
+		});
+		keyboard.on('keydown-M', () => {
+			toggleSound(this, display);
+			this.showInfo();
+		});
+		this.input.on('pointerdown', () => this.start());
+		if (this.mode !== 'play') this.time.delayedCall(AUTOSTART_MS, () => this.start());
+	}
+
+	update(time, delta) {
+		scrollGround(this.ground, -this.config.physics.pipeSpeed * delta / 1000);
+		this.bird.y = this.scale.height / 2 + Math.sin(time / 200) * 8;
+	}
+
+	cycleSkin(step) {
+		const display = this.config.display;
+		const index = SKIN_CHOICES.indexOf(display.skin);
+		display.skin = SKIN_CHOICES[(index + step + SKIN_CHOICES.length) % SKIN_CHOICES.length];
+		this.showSkin();
+		this.showInfo();
+	}
+
+	showSkin() {
+		const skin = pickSkin(this.config.display);
+		this.bird.play(`fly-${skin}`);
+	}
+
+	showInfo() {
+		const { skin, background, sound } = this.config.display;
+		const start = this.mode === 'play' ? 'Space, click or tap to play' : 'Space, click or tap to start';
+		this.infoText.setText(
+			`${start}\n` +
+			`←/→ skin: ${skin}   B background: ${background}   M sound: ${sound ? 'on' : 'off'}`
+		);
+	}
+
+	start() {
+		if (this.started) return;
+		this.started = true;
+		playSound(this, 'swoosh');
+		this.scene.start('Game', { flap: this.mode === 'play' });
+	}
+}
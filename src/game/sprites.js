@@ -0,0 +1,88 @@
+import { GROUND_HEIGHT, PIPE_HEIGHT, PIPE_WIDTH } from '../env/flappy';
+import { PIXEL_SCALE } from './assets';
+
+// Top and bottom images of one env pipe pair
+export function createPipeSprites(scene, pipe) {
+	const pipeKey = pipe.color === 'green' ? 'pipeGreen' : 'pipeRed';
+
+	const top = scene.add.image(pipe.x, pipe.centerY - pipe.gap / 2, pipeKey).setOrigin(0, 1);
+	top.setFlipY(true);
+	top.setDisplaySize(PIPE_WIDTH, PIPE_HEIGHT);
+
+	const bottom = scene.add.image(pipe.x, pipe.centerY + pipe.gap / 2, pipeKey).setOrigin(0, 0);
+	bottom.setDisplaySize(PIPE_WIDTH, PIPE_HEIGHT);
+
+	return { top, bottom };
+}
+
+// Keeps one sprite pair per env pipe (map: pipe id -> sprites),
+// creating and destroying them as pipes spawn and leave
+export function syncPipeSprites(scene, map, pipes) {
+	const alive = new Set();
+	pipes.forEach(pipe => {
+		alive.add(pipe.id);
+		let sprites = map.get(pipe.id);
+		if (!sprites) {
+			sprites = createPipeSprites(scene, pipe);
+			map.set(pipe.id, sprites);
+		}
+		sprites.top.x = pipe.x;
+		sprites.bottom.x = pipe.x;
+		// Canos móveis (variants.movingPipes)
+		sprites.top.y = pipe.centerY - pipe.gap / 2;
+		sprites.bottom.y = pipe.centerY + pipe.gap / 2;
+	});
+
+	map.forEach((sprites, id) => {
+		if (!alive.has(id)) {
+			sprites.top.destroy();
+			sprites.bottom.destroy();
+			map.delete(id);
+		}
+	});
+}
+
+// Scrolling ground strip along the bottom edge: the top of base.png
+// (grass and stripes), over the pipes and under the bird. It is the
+// env's lethal ground (GROUND_HEIGHT) when physics.lethalBounds is on.
+export function createGround(scene) {
+	const ground = scene.add.tileSprite(0, scene.scale.height - GROUND_HEIGHT, scene.scale.width, GROUND_HEIGHT, 'base');
+	ground.setOrigin(0, 0);
+	ground.setTileScale(PIXEL_SCALE);
+	ground.setDepth(5);
+	return ground;
+}
+
+// Moves the ground by `distance` world pixels (pipe speed x time)
+export function scrollGround(ground, distance) {
+	ground.tilePositionX = (ground.tilePositionX + distance / PIXEL_SCALE) % ground.frame.width;
+}
+
+// Score drawn with the digit sprites, centered on x
+export function createDigitScore(scene, x, y, { scale = PIXEL_SCALE, depth = 1000 } = {}) {
+	const container = scene.add.container(x, y).setDepth(depth);
+	let shown = null;
+	const score = {
+		container,
+		setValue(value) {
+			const text = String(Math.max(0, Math.floor(value)));
+			if (text === shown) return score;
+			shown = text;
+			container.removeAll(true);
+			const digits = text.split('').map(digit => scene.add.image(0, 0, `digit-${digit}`).setOrigin(0, 0).setScale(scale));
+			const width = digits.reduce((sum, image) => sum + image.displayWidth, 0);
+			let left = -width / 2;
+			digits.forEach(image => {
+				image.x = left;
+				left += image.displayWidth;
+			});
+			container.add(digits);
+			return score;
+		},
+		setVisible(visible) {
+			container.setVisible(visible);
+			return score;
+		}
+	};
+	return score.setValue(0);
+}
@@ -0,0 +1,220 @@
+/* ============================================================
+ * TRAINING METRICS
+ * ------------------------------------------------------------
+ * Records one row per episode (world reset) and one per step
+ * (simulation frame):
+ *   episode: score, frames, reward total and per component
+ *            (mean per bird), mean loss, mean max-Q, epsilon,
+ *            buffer size, curriculum level, deaths by cause
+ *   step:    loss, max-Q, mean reward of the live birds
+ * Episodes (and the most recent steps) are persisted to
+ * localStorage and exported as CSV or JSON.
+ * ============================================================ */
+
+import { DEATH_CAUSES } from '../env/flappy.js';
+
+const STORAGE_KEY = 'flappy_metrics';
+const METRICS_VERSION = 1;
+
+export const EPISODE_COLUMNS = [
+  'episode', 'generation', 'time', 'score', 'frames', 'birds', 'reward',
+  'meanLoss', 'meanMaxQ', 'epsilon', 'bufferSize', 'level'
+];
+
+export class MetricsRecorder {
+  // storage: a localStorage-like object, or null for in-memory only (Node)
+  constructor({ storage = globalThis.localStorage ?? null, maxEpisodes = 5000, maxSteps = 2000 } = {}) {
+    this.storage = storage;
+    this.maxEpisodes = maxEpisodes;
+    this.maxSteps = maxSteps;
+    this.episodes = [];
+    this.steps = [];
+    this.stepCount = 0;
+    this.listeners = new Set();
+    this.current = null;
+    this.load();
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(kind) {
+    this.listeners.forEach(listener => listener(kind, this));
+  }
+
+  /* ------------------------------------------------------------
+   * RECORDING
+   * ------------------------------------------------------------ */
+  beginEpisode(generation) {
+    this.current = {
+      generation,
+      rewards: {}, // componente -> soma de todos os pássaros
+      lossSum: 0,
+      lossCount: 0,
+      maxQSum: 0,
+      maxQCount: 0
+    };
+  }
+
+  // results: env.stepAll() output (null for dead birds); loss from
+  // agent.train(); stats from agent.stats()
+  recordStep(results, loss, stats = {}) {
+    if (!this.current) return;
+    const current = this.current;
+
+    let rewardSum = 0;
+    let live = 0;
+    results.forEach(result => {
+      if (!result) return;
+      live++;
+      rewardSum += result.reward;
+      Object.entries(result.info.rewards).forEach(([name, value]) => {
+        current.rewards[name] = (current.rewards[name] || 0) + value;
+      });
+    });
+
+    if (Number.isFinite(loss)) {
+      current.lossSum += loss;
+      current.lossCount++;
+    }
+    if (Number.isFinite(stats.maxQ)) {
+      current.maxQSum += stats.maxQ;
+      current.maxQCount++;
+    }
+
+    this.stepCount++;
+    this.steps.push({
+      step: this.stepCount,
+      loss: Number.isFinite(loss) ? loss : null,
+      maxQ: Number.isFinite(stats.maxQ) ? stats.maxQ : null,
+      reward: live > 0 ? rewardSum / live : 0
+    });
+    if (this.steps.length > this.maxSteps) this.steps.shift();
+    this.emit('step');
+  }
+
+  // env: the finished FlappyEnv; stats from agent.stats()
+  endEpisode(env, stats = {}) {
+    if (!this.current) return null;
+    const current = this.current;
+    const birds = env.birds.length;
+
+    const rewards = {};
+    Object.entries(current.rewards).forEach(([name, total]) => {
+      rewards[name] = total / birds;
+    });
+
+    const episode = {
+      episode: (this.episodes.length ? this.episodes[this.episodes.length - 1].episode : 0) + 1,
+      generation: current.generation,
+      time: Date.now(),
+      score: env.score,
+      frames: env.frame,
+      birds,
+      reward: Object.values(rewards).reduce((a, b) => a + b, 0),
+      rewards,
+      meanLoss: current.lossCount ? current.lossSum / current.lossCount : null,
+      meanMaxQ: current.maxQCount ? current.maxQSum / current.maxQCount : null,
+      epsilon: stats.epsilon ?? null,
+      bufferSize: stats.bufferSize ?? null,
+      level: env.episodeDifficulty?.level ?? null, // Nível do currículo, se ativo
+      deaths: countDeaths(env.birds)
+    };
+
+    this.episodes.push(episode);
+    if (this.episodes.length > this.maxEpisodes) this.episodes.shift();
+    this.current = null;
+    this.save();
+    this.emit('episode');
+    return episode;
+  }
+
+  clear() {
+    this.episodes = [];
+    this.steps = [];
+    this.stepCount = 0;
+    if (this.storage) this.storage.removeItem(STORAGE_KEY);
+    this.emit('clear');
+  }
+
+  // Every reward component seen so far, in first-seen order
+  rewardComponents() {
+    const names = new Set();
+    this.episodes.forEach(episode => Object.keys(episode.rewards).forEach(name => names.add(name)));
+    return [...names];
+  }
+
+  /* ------------------------------------------------------------
+   * PERSISTENCE & EXPORT
+   * ------------------------------------------------------------ */
+  toJSON() {
+    return {
+      version: METRICS_VERSION,
+      stepCount: this.stepCount,
+      episodes: this.episodes,
+      steps: this.steps
+    };
+  }
+
+  toCSV() {
+    const components = this.rewardComponents();
+    const header = [
+      ...EPISODE_COLUMNS,
+      ...components.map(name => `reward.${name}`),
+      ...DEATH_CAUSES.map(cause => `deaths.${cause}`)
+    ];
+    const rows = this.episodes.map(episode => [
+      ...EPISODE_COLUMNS.map(column => episode[column] ?? ''),
+      ...components.map(name => episode.rewards[name] ?? 0),
+      ...DEATH_CAUSES.map(cause => episode.deaths?.[cause] ?? '') // Vazio em episódios antigos
+    ]);
+    return [header, ...rows].map(row => row.join(',')).join('\n') + '\n';
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
+    } catch (e) {
+      // Quota estourada: guarda só a metade mais recente
+      console.warn('Metrics storage full, dropping older episodes:', e.message);
+      this.episodes = this.episodes.slice(Math.floor(this.episodes.length / 2));
+      try {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
+      } catch (retryError) {
+        console.warn('Metrics storage still full, keeping metrics in memory only:', retryError.message);
+      }
+    }
+  }
+
+  // Corrupted data is ignored: the run starts with empty metrics
+  load() {
+    if (!this.storage) return;
+    let data = null;
+    try {
+      data = JSON.parse(this.storage.getItem(STORAGE_KEY));
+    } catch (e) {
+      console.warn('Ignoring unreadable stored metrics:', e.message);
+    }
+    if (!data || data.version !== METRICS_VERSION) return;
+    this.episodes = data.episodes || [];
+    this.steps = data.steps || [];
+    this.stepCount = data.stepCount || 0;
+  }
+}
+
+// Birds of the episode that died of each cause: { pipeTop: 3, ... }
+export function countDeaths(birds) {
+  const deaths = Object.fromEntries(DEATH_CAUSES.map(cause => [cause, 0]));
+  birds.forEach(bird => {
+    if (bird.deathCause in deaths) deaths[bird.deathCause]++;
+  });
+  return deaths;
+}
+
+// "pipeTop=3 pipeBottom=1 ground=0 ceiling=0" for per-generation logs
+export function formatDeaths(deaths) {
+  return DEATH_CAUSES.map(cause => `${cause}=${deaths?.[cause] ?? 0}`).join(' ');
+}
@@ -0,0 +1,143 @@
+/* ============================================================
+ * AGENT INTERFACE
+ * ------------------------------------------------------------
+ * Everything the scene (and the headless trainer) may call on
+ * a learner. Birds are addressed by id (index in env.birds), so
+ * population-based agents can keep per-bird state.
+ *
+ * Per frame:   chooseActions -> remember (per live bird) -> train
+ * Per episode: resetEpisode(birdCount) ... endEpisode(birds)
+ * Persistence: exportBrain / importBrain bundles (see brain.js),
+ *              exportReplay / importReplay buffer snapshots
+ * ============================================================ */
+
+import { observationShape } from '../env/flappy.js';
+
+export class Agent {
+  constructor(config) {
+    this.config = config;
+    this.birdCount = 1;
+    this.frozen = false;
+  }
+
+  // config.agent.type value this class implements
+  get type() {
+    return 'agent';
+  }
+
+  // Short name for the HUD
+  get label() {
+    return 'Agent';
+  }
+
+  // Observation shape the agent consumes (checked on import)
+  get inputShape() {
+    return observationShape(this.config);
+  }
+
+  setSeed(seed) { }
+
+  // Run config was edited; react to fields that aren't read live
+  applyConfig() { }
+
+  // -> brain bundle, see createBundle() in brain.js
+  async exportBrain(generation) {
+    throw new Error(`${this.constructor.name} does not implement exportBrain()`);
+  }
+
+  // Checks and restores a bundle; -> { generation, config }
+  async importBrain(bundle) {
+    throw new Error(`${this.constructor.name} does not implement importBrain()`);
+  }
+
+  // Replay buffer snapshot (see ReplayBuffer.snapshot), or null
+  // for agents without one or while it's empty
+  async exportReplay() {
+    return null;
+  }
+
+  // Refills the replay buffer from a snapshot; -> transitions restored
+  async importReplay(snapshot) {
+    return 0;
+  }
+
+  // { size, capacity, bytes } of the replay buffer for the HUD, or null
+  replayUsage() {
+    return null;
+  }
+
+  // Brain saved by older builds in localStorage, if any
+  // -> { success, generation, config }
+  async loadLegacyBrain() {
+    return { success: false, generation: 1 };
+  }
+
+  // Frozen agents act greedily (no exploration); callers also stop
+  // calling remember/train/exportBrain (see evaluate.js)
+  freeze(frozen = true) {
+    this.frozen = frozen;
+  }
+
+  // World reset with birdCount birds
+  resetEpisode(birdCount = 1) {
+    this.birdCount = birdCount;
+  }
+
+  // One action per state; ids[i] is the bird that observed states[i]
+  async chooseActions(states, ids) {
+    throw new Error(`${this.constructor.name} does not implement chooseActions()`);
+  }
+
+  remember(state, action, reward, nextState, done, id = 0) { }
+
+  // Once per simulation frame, after every live bird was remembered.
+  // Returns the frame's training loss, or null if nothing was trained.
+  async train() {
+    return null;
+  }
+
+  // Warm start from a DemoBuffer (see demos.js) before training;
+  // -> final pretraining loss
+  async pretrain(demos, options = {}) {
+    throw new Error(`${this.label} agent does not support pretraining from demonstrations`);
+  }
+
+  // All birds dead; birds carry { id, score, frames }
+  async endEpisode(birds) { }
+
+  // Extra HUD lines about bird `id` in `state`
+  hudLines(id, state) {
+    return [];
+  }
+
+  // One array of per-action values (index = action) per state, as
+  // bird `id` would judge them: Q-values, or network outputs for the
+  // GA. Used by the policy overlay; null = not available.
+  actionValues(states, id = 0) {
+    return null;
+  }
+
+  // Numbers for the metrics recorder; null/missing = not applicable.
+  // { epsilon, maxQ (mean over the last chooseActions), bufferSize }
+  stats() {
+    return {};
+  }
+
+  // One-line progress note for logs (headless trainer)
+  summary() {
+    return '';
+  }
+}
+
+// Ape-X style spread: bird 0 explores at the agent's epsilon, the
+// last bird at epsilon^(1 + spread), so a population mixes explorers
+// and near-greedy birds.
+export function populationEpsilon(epsilon, index, count, spread) {
+  if (count <= 1) return epsilon;
+  return Math.pow(epsilon, 1 + (index / (count - 1)) * spread);
+}
+
+// Loss for logs and the HUD; '—' until the first batch has trained
+export function formatLoss(loss) {
+  return loss === null || loss === undefined ? '—' : loss.toFixed(4);
+}
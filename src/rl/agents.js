@@ -0,0 +1,35 @@
+/* ============================================================
+ * AGENT FACTORY
+ * ------------------------------------------------------------
+ * Picks the learner for config.agent.type. Every agent follows
+ * the interface in agent.js, so the scene and the headless
+ * trainer never branch on the algorithm.
+ * ============================================================ */
+
+import { DQNAgent } from './dqn.js';
+import { NeuroevolutionAgent } from './neuro.js';
+import { TabularQAgent } from './tabular.js';
+import { WorkerDQNAgent } from './workerAgent.js';
+
+export function createAgent(config, options = {}) {
+  // Só a DQN tem rede convolucional para pixels
+  if (config.agent.type !== 'dqn' && config.observation.mode !== 'features') {
+    console.warn(`observation.mode=${config.observation.mode} needs agent.type=dqn; using features`);
+    config.observation.mode = 'features';
+  }
+  switch (config.agent.type) {
+    case 'neuro':
+      return new NeuroevolutionAgent({ ...options, config });
+    case 'tabular':
+      return new TabularQAgent({ ...options, config });
+    case 'dqn': {
+      // Treino num Web Worker por padrão: o render não espera o fit()
+      const useWorker = config.agent.worker && typeof Worker !== 'undefined';
+      return useWorker
+        ? new WorkerDQNAgent({ ...options, config })
+        : new DQNAgent({ ...options, config });
+    }
+    default:
+      throw new Error(`Unknown agent type: ${config.agent.type}`);
+  }
+}
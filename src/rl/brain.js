@@ -0,0 +1,86 @@
+/* ============================================================
+ * BRAIN BUNDLES
+ * ------------------------------------------------------------
+ * One JSON object holds everything needed to restore an agent:
+ * format tag + version, agent type, input shape, generation,
+ * run config and the agent's own payload (for DQN: model.json
+ * topology, weight specs and base64 weights, plus the schedule
+ * position, epsilon and the observation normalizer's statistics).
+ * Used for IndexedDB checkpoint slots and file download/upload.
+ * The scene adds its own state next to the payload (curriculum
+ * level, see env/curriculum.js).
+ * checkBundle() rejects incompatible bundles with a readable
+ * message before any tensor is built.
+ * ============================================================ */
+
+export const BRAIN_FORMAT = 'flappy-brain';
+export const BRAIN_FORMAT_VERSION = 1;
+
+export function createBundle(agent, generation, payload) {
+  return {
+    format: BRAIN_FORMAT,
+    version: BRAIN_FORMAT_VERSION,
+    agentType: agent.type,
+    label: agent.label,
+    inputShape: agent.inputShape,
+    generation,
+    seed: agent.seed,
+    savedAt: new Date().toISOString(),
+    config: agent.config,
+    payload
+  };
+}
+
+// Throws an Error explaining why `bundle` can't be loaded into `agent`
+export function checkBundle(bundle, agent) {
+  if (!bundle || bundle.format !== BRAIN_FORMAT) {
+    throw new Error('Not a Flappy brain file (missing "format": "flappy-brain")');
+  }
+  if (!(bundle.version <= BRAIN_FORMAT_VERSION)) {
+    throw new Error(`Brain format version ${bundle.version} is newer than this build supports (${BRAIN_FORMAT_VERSION})`);
+  }
+  if (bundle.agentType !== agent.type) {
+    throw new Error(`Brain is for a "${bundle.agentType}" agent but agent.type is "${agent.type}"`);
+  }
+  if (!sameShape(bundle.inputShape, agent.inputShape)) {
+    throw new Error(
+      `Brain expects input shape [${bundle.inputShape}] but this agent observes [${agent.inputShape}]`
+    );
+  }
+  return bundle;
+}
+
+export function sameShape(a, b) {
+  return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((n, i) => n === b[i]);
+}
+
+export async function readBrainFile(file) {
+  const text = await file.text();
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${file.name} is not valid JSON: ${e.message}`);
+  }
+}
+
+/* ------------------------------------------------------------
+ * BINARY <-> BASE64 (weights inside JSON)
+ * ------------------------------------------------------------ */
+export function bytesToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  const CHUNK = 0x8000; // Evita estourar a pilha do apply
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return btoa(binary);
+}
+
+export function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
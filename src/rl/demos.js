@@ -0,0 +1,67 @@
+/* ============================================================
+ * DEMONSTRATIONS
+ * ------------------------------------------------------------
+ * Human episodes (?mode=play) are kept as traces (env/trace.js)
+ * in their own store, apart from the agent's replay buffer.
+ * DemoBuffer turns them back into transitions by replaying
+ * them, with the current observation and reward settings, so a
+ * demonstration recorded with features can warm-start a pixel
+ * DQN too (see DQNAgent.pretrain):
+ *
+ *   const demos = new DemoBuffer(config);
+ *   store.traces.forEach(trace => demos.addTrace(trace));
+ *   await agent.pretrain(demos);
+ *
+ * Transitions are one per frame (the human decides every frame)
+ * and single-step, whatever agent.nStep and sim.actionRepeat say.
+ * A trace whose world observes another number of values (e.g.
+ * recorded with other variants) is skipped with a warning.
+ * ============================================================ */
+
+import { observationSize } from '../env/flappy.js';
+import { TracePlayer } from '../env/trace.js';
+
+export class DemoBuffer {
+  constructor(config) {
+    this.config = config;
+    this.transitions = [];
+    this.traceIds = new Set();
+  }
+
+  // Replays `trace` into transitions; -> number added (0 if the
+  // trace was already in, doesn't fit the observation, or the
+  // buffer is full)
+  addTrace(trace) {
+    if (this.traceIds.has(trace.id)) return 0;
+    const { observation, reward } = this.config;
+    const player = new TracePlayer(trace, { verify: false, overrides: { observation, reward } });
+    const expected = observationSize(this.config);
+    if (player.state.length !== expected) {
+      console.warn(`Demonstration ${trace.id} observes ${player.state.length} values, this agent ${expected}; skipped`);
+      return 0;
+    }
+    const before = this.transitions.length;
+    while (!player.done && this.transitions.length < this.config.demo.size) {
+      const state = player.state;
+      const action = Number(trace.actions[player.frame]);
+      const result = player.step();
+      this.transitions.push({ state, action, reward: result.reward, nextState: result.state, done: result.done });
+    }
+    if (!player.done) console.warn(`Demonstration buffer full (demo.size=${this.config.demo.size}); rest of the run dropped`);
+    this.traceIds.add(trace.id);
+    return this.transitions.length - before;
+  }
+
+  size() {
+    return this.transitions.length;
+  }
+
+  // Uniform minibatch, with replacement
+  sample(batchSize, random = Math.random) {
+    const batch = [];
+    for (let i = 0; i < batchSize; i++) {
+      batch.push(this.transitions[Math.floor(random() * this.transitions.length)]);
+    }
+    return batch;
+  }
+}
@@ -2,157 +2,320 @@
  * DEEP Q-NETWORK — FLAPPY BIRD ADAPTER
  * ------------------------------------------------------------
  * Uses TensorFlow.js to implement DQN with a neural network.
- * States are continuous [dx, dy, velY], no discretization.
+ * States are the continuous env features (MLP) or, in pixel
+ * observation mode, stacked grayscale frames (CNN).
+ * Optional variants: Double DQN targets, dueling head and
+ * n-step returns, toggled in the run config and saved with
+ * the brain. With observation.normalize, feature states go
+ * through a running normalizer (normalizer.js) on the way into
+ * the network; its statistics are saved with the brain too.
+ * Exploration is epsilon-greedy, Boltzmann (softmax over Q) or
+ * NoisyNet (noisy output layers, agent.exploration). Epsilon
+ * (or the temperature) and the learning rate follow schedules
+ * (schedules.js) whose position is saved with the brain.
  * ============================================================ */
 
 import * as tf from '@tensorflow/tfjs';
+import { ACTION_FLAP, ACTION_IDLE, ACTIONS, observationShape } from '../env/flappy.js';
+import { createConfig } from '../config.js';
+import { createRandom, deriveSeed, randomSeed } from '../util/random.js';
+import { createReplayBuffer, PrioritizedReplayBuffer, replayFrameCapacity } from './replay.js';
+import { Agent, formatLoss, populationEpsilon } from './agent.js';
+import { RunningNormalizer } from './normalizer.js';
+import { Schedule } from './schedules.js';
+import { base64ToBytes, bytesToBase64, checkBundle, createBundle, sameShape } from './brain.js';
 
 /* ------------------------------------------------------------
  * ACTIONS
  * ------------------------------------------------------------ */
-export const ACTION_FLAP = 1;
-export const ACTION_IDLE = 0;
-export const ACTIONS = [ACTION_IDLE, ACTION_FLAP];
+export { ACTION_FLAP, ACTION_IDLE, ACTIONS, populationEpsilon };
 
 /* ------------------------------------------------------------
- * HYPERPARAMETERS
+ * DUELING HEAD
+ * ------------------------------------------------------------
+ * Q(s,a) = V(s) + A(s,a) - mean_a A(s,a). Registered so that
+ * models saved with it can be deserialized by loadLayersModel.
  * ------------------------------------------------------------ */
-export const gamma = 0.99; // Discount Factor
-export let epsilon = 0.5; // Exploration Rate
-export const EPSILON_MIN = 0.001;
-export const EPSILON_DECAY = 0.9995;
-export const BATCH_SIZE = 64;
-export const REPLAY_BUFFER_SIZE = 30000;
-export const TARGET_UPDATE_FREQ = 500; // Atualiza target network com menos frequência
-export const LEARNING_RATE = 0.002; // Learning rate menor para convergência suave
-export const TRAIN_THROTTLE = 2; // Treina a cada N passos para evitar sobrecarga
+class DuelingHead extends tf.layers.Layer {
+  static className = 'DuelingHead';
+
+  computeOutputShape(inputShape) {
+    return inputShape[1];
+  }
+
+  call(inputs) {
+    return tf.tidy(() => {
+      const [value, advantage] = inputs;
+      return value.add(advantage.sub(advantage.mean(1, true)));
+    });
+  }
+}
+tf.serialization.registerClass(DuelingHead);
 
 /* ------------------------------------------------------------
- * REPLAY BUFFER
+ * NOISY DENSE (NoisyNet, Fortunato et al. 2018)
+ * ------------------------------------------------------------
+ * Linear layer with learned, factorized Gaussian noise on its
+ * weights: w = μ_w + σ_w ⊙ f(ε_in) f(ε_out)ᵀ, f(x) = sgn(x)√|x|.
+ * Fresh noise on every forward pass while `noisy` is on; with
+ * it off the layer is plain μ (greedy, for evaluation). The
+ * agent sets `random` so the noise follows the run seed.
  * ------------------------------------------------------------ */
-class ReplayBuffer {
-  constructor(maxSize) {
-    this.maxSize = maxSize;
-    this.buffer = [];
+export class NoisyDense extends tf.layers.Layer {
+  static className = 'NoisyDense';
+
+  constructor(config) {
+    super(config);
+    this.units = config.units;
+    this.sigma0 = config.sigma0 ?? 0.5;
+    this.seed = config.seed;
+    this.noisy = true;
+    this.random = Math.random;
   }
 
-  add(state, action, reward, nextState, done) {
-    const transition = { state, action, reward, nextState, done };
-    if (this.buffer.length >= this.maxSize) {
-      this.buffer.shift();
-    }
-    this.buffer.push(transition);
+  build(inputShape) {
+    const inputs = inputShape[inputShape.length - 1];
+    const bound = 1 / Math.sqrt(inputs);
+    const mu = () => tf.initializers.randomUniform({ minval: -bound, maxval: bound, seed: this.seed });
+    const sigma = () => tf.initializers.constant({ value: this.sigma0 / Math.sqrt(inputs) });
+    this.muKernel = this.addWeight('mu_kernel', [inputs, this.units], 'float32', mu());
+    this.sigmaKernel = this.addWeight('sigma_kernel', [inputs, this.units], 'float32', sigma());
+    this.muBias = this.addWeight('mu_bias', [this.units], 'float32', mu());
+    this.sigmaBias = this.addWeight('sigma_bias', [this.units], 'float32', sigma());
+    this.inputDim = inputs;
+    this.built = true;
   }
 
-  sampleRandomBasic(batchSize) {
-    const batch = [];
-    for (let i = 0; i < batchSize; i++) {
-      const idx = Math.floor(Math.random() * this.buffer.length);
-      batch.push(this.buffer[idx]);
-    }
-    return batch;
+  computeOutputShape(inputShape) {
+    return [...inputShape.slice(0, -1), this.units];
   }
 
-  sampleLastPrioritizedAndRandom(batchSize) {
-    const batch = [];
-    const recentPercentage = 0.25;  // 25% do batchSize pra recentes (ajuste aqui: 0.25 pra 25%)
-    const numRecent = Math.floor(batchSize * recentPercentage);  // Dinâmico: ex: 128*0.25=32
-    const numRandom = batchSize - numRecent;  // Resto aleatório: ex: 128-32=96
+  call(inputs) {
+    return tf.tidy(() => {
+      const x = Array.isArray(inputs) ? inputs[0] : inputs;
+      let kernel = this.muKernel.read();
+      let bias = this.muBias.read();
+      if (this.noisy) {
+        const f = e => e.sign().mul(e.abs().sqrt());
+        const seed = () => Math.floor(this.random() * 2 ** 31);
+        const noiseIn = f(tf.randomNormal([this.inputDim, 1], 0, 1, 'float32', seed()));
+        const noiseOut = f(tf.randomNormal([1, this.units], 0, 1, 'float32', seed()));
+        kernel = kernel.add(this.sigmaKernel.read().mul(noiseIn.matMul(noiseOut)));
+        bias = bias.add(this.sigmaBias.read().mul(noiseOut.reshape([this.units])));
+      }
+      return x.matMul(kernel).add(bias);
+    });
+  }
 
-    // Parte 1: Últimas numRecent recentes (mais nova primeiro: reverse do tail)
-    const recentStart = Math.max(0, this.buffer.length - numRecent);
-    for (let i = this.buffer.length - 1; i >= recentStart; i--) {
-      batch.push(this.buffer[i]);  // Adiciona da mais nova pra mais antiga
-    }
+  getConfig() {
+    return { ...super.getConfig(), units: this.units, sigma0: this.sigma0 };
+  }
+}
+tf.serialization.registerClass(NoisyDense);
 
-    // Parte 2: numRandom aleatórias do buffer TODO (com possível repetição, mas baixa chance)
-    if (numRandom > 0 && this.buffer.length > 0) {
-      for (let i = 0; i < numRandom; i++) {
-        const idx = Math.floor(Math.random() * this.buffer.length);
-        batch.push(this.buffer[idx]);
-      }
-    }
+/* ------------------------------------------------------------
+ * DQN AGENT
+ * ------------------------------------------------------------ */
+export class DQNAgent extends Agent {
+  constructor(options = {}) {
+    // Hyperparameters live in the run config (src/config.js)
+    super(options.config || createConfig());
+    // WebGL in the browser for performance; headless runs pass 'cpu'.
+    // Falls back to CPU where WebGL is missing (e.g. workers without OffscreenCanvas).
+    const backend = options.backend || 'webgl';
+    tf.setBackend(backend)
+      .then(ok => ok || tf.setBackend('cpu'))
+      .then(() => console.log('TensorFlow.js backend:', tf.getBackend()))
+      .catch(err => console.warn(`Failed to set ${backend}:`, err));
+    // Posição dos schedules (epsilon/temperatura e learning rate)
+    this.schedulePosition = { trainSteps: 0, episodes: 0 };
+    this.setSeed(this.config.seed ?? randomSeed());
+    this.nStepQueues = new Map();
+    this.rebuildModels();
+    this.replayBuffer = this.newReplayBuffer();
+    this.lastLoss = null;
+    this.lastMaxQ = null; // Média de max Q na última escolha de ações
+    this.stepCount = 0;
+    this.trainingInProgress = false; // Flag para evitar treinos concorrentes
+  }
 
-    // Shuffle Opcional: Mistura o batch todo pra não enviesar o fit() (recomendado)
-    for (let i = batch.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [batch[i], batch[j]] = [batch[j], batch[i]];  // Swap simples
-    }
+  get variant() {
+    const { doubleDQN, dueling, nStep } = this.config.agent;
+    return { doubleDQN, dueling, nStep: Math.max(1, nStep) };
+  }
 
-    return batch;
+  get type() {
+    return 'dqn';
   }
 
-  sampleRewardPrioritized(batchSize) {
-    if (this.buffer.length === 0) return [];
+  get label() {
+    const { doubleDQN, dueling, nStep } = this.variant;
+    const parts = [doubleDQN ? 'DDQN' : 'DQN'];
+    if (dueling) parts.push('Dueling');
+    if (nStep > 1) parts.push(`${nStep}-step`);
+    return parts.join(' + ');
+  }
 
-    const epsilon = 1.0;  // Adiciona pra evitar p=0 em rewards baixos
-    const absRewards = this.buffer.map(t => Math.abs(t.reward) + epsilon);  // |r| + ε
-    const total = absRewards.reduce((a, b) => a + b, 0);
-    const probs = absRewards.map(r => r / total);  // Normaliza pra [0,1]
+  // Separate streams so exploration draws don't shift minibatch sampling
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.config.seed = this.seed;
+    this.exploreRandom = createRandom(deriveSeed(this.seed, 'explore'));
+    this.sampleRandom = createRandom(deriveSeed(this.seed, 'sample'));
+    this.noiseRandom = createRandom(deriveSeed(this.seed, 'noise'));
+    this.initSeed = deriveSeed(this.seed, 'init');
+    if (this.replayBuffer) this.replayBuffer.random = this.sampleRandom;
+  }
 
-    // Cumsum pra weighted random (simples, sem binary search pra velocidade)
-    const cumsum = []; let sum = 0;
-    for (let p of probs) {
-      sum += p;
-      cumsum.push(sum);
-    }
+  // Called after the run config was edited. Most fields are read
+  // live; these need an explicit nudge.
+  applyConfig() {
+    const { agent, replay } = this.config;
 
-    const batch = [];
-    for (let i = 0; i < batchSize; i++) {
-      const rand = Math.random();
-      // Encontra idx via binary search (otimizado: O(log N) em vez de O(N))
-      let low = 0, high = cumsum.length - 1;
-      while (low <= high) {
-        const mid = Math.floor((low + high) / 2);
-        if (cumsum[mid] >= rand) {
-          high = mid - 1;
-        } else {
-          low = mid + 1;
-        }
-      }
-      const idx = low;
-      batch.push(this.buffer[idx]);
+    if (agent.dueling !== this.modelDueling) {
+      console.warn('agent.dueling changes the network architecture; it only applies to a fresh brain');
+      agent.dueling = this.modelDueling;
+    }
+    if ((agent.exploration === 'noisy') !== this.modelNoisy) {
+      console.warn('NoisyNet exploration changes the network architecture; it only applies to a fresh brain');
+      agent.exploration = this.modelNoisy ? 'noisy' : 'epsilon';
+    }
+    if (!sameShape(observationShape(this.config), this.modelInputShape)) {
+      console.warn('observation.* changes the network input; it only applies to a fresh brain');
+      Object.assign(this.config.observation, this.modelObservation);
+    }
+    if (this.wantsNormalizer() !== !!this.normalizer) {
+      console.warn('observation.normalize changes the network input; it only applies to a fresh brain');
+      this.config.observation.normalize = !!this.normalizer;
     }
 
-    // Shuffle opcional pra diversidade
-    for (let i = batch.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [batch[i], batch[j]] = [batch[j], batch[i]];
+    this.applyLearningRate();
+
+    const buffer = this.replayBuffer;
+    if (replay.size !== buffer.maxSize || (replay.sampling === 'per') !== (buffer instanceof PrioritizedReplayBuffer)) {
+      this.replayBuffer = this.newReplayBuffer(replay);
+      buffer.transitions().forEach(t => this.replayBuffer.add(t.state, t.action, t.reward, t.nextState, t.done));
     }
+  }
 
-    return batch;
+  // Pixel models share frames between the stacked states in replay
+  newReplayBuffer(replay = this.config.replay) {
+    const { mode, frameStack } = this.modelObservation;
+    const layout = mode === 'pixels'
+      ? { frameStack, frameCapacity: replayFrameCapacity(replay.size, frameStack, this.config.sim.actionRepeat) }
+      : null;
+    return createReplayBuffer(replay, this.sampleRandom, layout);
   }
 
-  size() {
-    return this.buffer.length;
+  // Built for a different dueling flag or observation than the config asks for
+  modelOutdated() {
+    return this.modelDueling !== this.config.agent.dueling ||
+      this.modelNoisy !== (this.config.agent.exploration === 'noisy') ||
+      !sameShape(observationShape(this.config), this.modelInputShape) ||
+      this.wantsNormalizer() !== !!this.normalizer;
   }
-}
 
-/* ------------------------------------------------------------
- * DQN AGENT
- * ------------------------------------------------------------ */
-export class DQNAgent {
-  constructor() {
-    // Force WebGL backend for better performance and stability
-    tf.setBackend('webgl').then(() => console.log('TensorFlow.js backend: WebGL')).catch(err => console.warn('Failed to set WebGL:', err));
+  // Running normalization is for feature states only (pixels are just /255)
+  wantsNormalizer() {
+    return !!this.config.observation.normalize && this.config.observation.mode !== 'pixels';
+  }
+
+  // Batch of env states -> input tensor. Pixel states are Uint8Array
+  // (0–255) and get scaled to [0, 1] here, not in the replay buffer;
+  // feature states go through the normalizer, if any. The buffer
+  // keeps raw states, so old transitions follow the current statistics.
+  stateTensor(states) {
+    const shape = this.modelInputShape;
+    const size = shape.reduce((a, b) => a * b, 1);
+    const data = new Float32Array(states.length * size);
+    const clip = this.config.observation.normalizeClip;
+    states.forEach((state, i) => {
+      if (state instanceof Uint8Array) {
+        for (let j = 0; j < size; j++) data[i * size + j] = state[j] / 255;
+      } else if (this.normalizer) {
+        this.normalizer.normalizeInto(state, data, i * size, clip);
+      } else {
+        data.set(state, i * size);
+      }
+    });
+    return tf.tensor(data, [states.length, ...shape]);
+  }
+
+  rebuildModels() {
+    if (this.model) this.model.dispose();
+    if (this.targetModel) this.targetModel.dispose();
     this.model = this.createModel();
     this.targetModel = this.createModel();
     this.targetModel.setWeights(this.model.getWeights());
-    this.replayBuffer = new ReplayBuffer(REPLAY_BUFFER_SIZE);
-    this.stepCount = 0;
-    this.trainingInProgress = false; // Flag para evitar treinos concorrentes
+    this.normalizer = this.wantsNormalizer() ? new RunningNormalizer(this.modelInputShape[0]) : null;
+  }
+
+  // Normalizer statistics in bundles and worker messages (null = none)
+  exportNormalizer() {
+    return this.normalizer ? this.normalizer.toJSON() : null;
+  }
+
+  importNormalizer(data) {
+    this.adoptNormalizer(data ? RunningNormalizer.fromJSON(data, this.modelInputShape[0]) : null);
+  }
+
+  adoptNormalizer(normalizer) {
+    this.normalizer = normalizer;
+    this.config.observation.normalize = !!normalizer;
+  }
+
+  // Plain typed-array copy of the online weights, safe to postMessage
+  exportWeights() {
+    return this.model.getWeights().map(w => ({ shape: w.shape, data: new Float32Array(w.dataSync()) }));
+  }
+
+  importWeights(weights, { target = true } = {}) {
+    const tensors = weights.map(w => tf.tensor(w.data, w.shape));
+    this.model.setWeights(tensors);
+    if (target) this.targetModel.setWeights(tensors);
+    tensors.forEach(t => t.dispose());
   }
 
   createModel() {
-    const model = tf.sequential();
+    const init = () => tf.initializers.glorotUniform({ seed: this.initSeed++ });
+
+    this.modelObservation = { ...this.config.observation };
+    this.modelInputShape = observationShape(this.config);
+    const input = tf.input({ shape: this.modelInputShape });
+    let x;
+    if (this.modelObservation.mode === 'pixels') {
+      // CNN no estilo do DQN da Atari, encolhido para imagens pequenas
+      x = tf.layers.conv2d({ filters: 16, kernelSize: 5, strides: 2, activation: 'relu', kernelInitializer: init() }).apply(input);
+      x = tf.layers.conv2d({ filters: 32, kernelSize: 3, strides: 2, activation: 'relu', kernelInitializer: init() }).apply(x);
+      x = tf.layers.flatten().apply(x);
+      x = tf.layers.dense({ units: 128, activation: 'relu', kernelInitializer: init() }).apply(x);
+    } else {
+      x = tf.layers.dense({ units: 256, activation: 'relu', kernelInitializer: init() }).apply(input);
+      x = tf.layers.dense({ units: 128, activation: 'relu', kernelInitializer: init() }).apply(x);
+      x = tf.layers.dense({ units: 64, activation: 'relu', kernelInitializer: init() }).apply(x);
+    }
 
-    model.add(tf.layers.dense({ units: 256, activation: 'relu', inputShape: [7] }));
-    model.add(tf.layers.dense({ units: 128, activation: 'relu' }));
-    model.add(tf.layers.dense({ units: 64, activation: 'relu' }));
-    model.add(tf.layers.dense({ units: 2, activation: 'linear' }));
+    // Camadas de saída lineares; com NoisyNet, ruidosas
+    this.modelNoisy = this.config.agent.exploration === 'noisy';
+    const head = units => (this.modelNoisy
+      ? new NoisyDense({ units, sigma0: this.config.agent.noisySigma, seed: this.initSeed++ })
+      : tf.layers.dense({ units, activation: 'linear', kernelInitializer: init() }));
+
+    let output;
+    this.modelDueling = this.config.agent.dueling;
+    if (this.modelDueling) {
+      const value = head(1).apply(x);
+      const advantage = head(ACTIONS.length).apply(x);
+      output = new DuelingHead({}).apply([value, advantage]);
+    } else {
+      output = head(ACTIONS.length).apply(x);
+    }
+
+    const model = tf.model({ inputs: input, outputs: output });
+    this.attachNoise(model);
 
     model.compile({
-      optimizer: tf.train.adam(LEARNING_RATE),
+      optimizer: tf.train.adam(this.config.agent.learningRate),
       loss: 'meanSquaredError'
     });
 
@@ -160,36 +323,212 @@ export class DQNAgent {
   }
 
   async chooseAction(state) {
-    if (Math.random() < epsilon) {
-      return Math.random() < 0.2 ? ACTION_FLAP : ACTION_IDLE;
+    return (await this.chooseActions([state], [0]))[0];
+  }
+
+  // Batched version for populations: one forward pass for every bird.
+  // Epsilon-greedy uses each bird's own epsilon (see birdEpsilon),
+  // Boltzmann the current temperature, NoisyNet its noisy weights.
+  async chooseActions(states, ids = states.map((_, i) => i)) {
+    if (states.length === 0) return [];
+    const exploration = this.config.agent.exploration;
+    const epsilon = this.epsilon;
+    const epsilons = ids.map(id => this.birdEpsilon(id, epsilon));
+    this.setNoise(!this.frozen);
+    const q = tf.tidy(() => {
+      const stateTensor = this.stateTensor(states);
+      return this.model.predict(stateTensor).dataSync();
+    });
+    // Argmax em JS (empate fica com a primeira ação, como argMax)
+    const n = ACTIONS.length;
+    let maxQSum = 0;
+    const greedy = states.map((_, i) => {
+      let best = 0;
+      for (let a = 1; a < n; a++) {
+        if (q[i * n + a] > q[i * n + best]) best = a;
+      }
+      maxQSum += q[i * n + best];
+      return best;
+    });
+    this.lastMaxQ = maxQSum / states.length;
+    if (exploration === 'boltzmann' && !this.frozen) {
+      const temperature = this.explorationValue;
+      return states.map((_, i) => this.boltzmannAction(q.subarray(i * n, (i + 1) * n), temperature));
     }
-    return tf.tidy(() => {
-      const stateTensor = tf.tensor2d([state], [1, 7]);
-      const qValues = this.model.predict(stateTensor);
-      const action = qValues.argMax(1).dataSync()[0];
-      return action;
+    return states.map((state, i) => {
+      if (this.exploreRandom() < epsilons[i]) {
+        return this.exploreRandom() < 0.2 ? ACTION_FLAP : ACTION_IDLE;
+      }
+      return greedy[i];
     });
   }
 
+  // Samples an action with P(a) ∝ exp(Q(s,a) / temperature)
+  boltzmannAction(q, temperature) {
+    const max = Math.max(...q);
+    const weights = Array.from(q, value => Math.exp((value - max) / Math.max(temperature, 1e-6)));
+    let r = this.exploreRandom() * weights.reduce((a, b) => a + b, 0);
+    for (let a = 0; a < weights.length - 1; a++) {
+      r -= weights[a];
+      if (r < 0) return ACTIONS[a];
+    }
+    return ACTIONS[weights.length - 1];
+  }
+
+  // Stores a transition, folding it into an n-step return first
+  // when nStep > 1: (s_t, a_t, Σ γ^k r_{t+k}, s_{t+n}, done).
+  // `stream` keeps one n-step queue per bird in population mode.
+  remember(state, action, reward, nextState, done, stream = 0) {
+    if (this.normalizer && !this.frozen) this.normalizer.update(state);
+    const n = this.variant.nStep;
+    if (n === 1) {
+      this.replayBuffer.add(state, action, reward, nextState, done);
+      return;
+    }
+
+    if (!this.nStepQueues.has(stream)) this.nStepQueues.set(stream, []);
+    const queue = this.nStepQueues.get(stream);
+    queue.push({ state, action, reward });
+    while (queue.length >= n) {
+      this.flushNStep(queue, nextState, done);
+    }
+    // No fim do episódio, esvazia a fila com retornos truncados
+    if (done) {
+      while (queue.length > 0) {
+        this.flushNStep(queue, nextState, true);
+      }
+    }
+  }
+
+  flushNStep(queue, nextState, done) {
+    let ret = 0;
+    for (let k = queue.length - 1; k >= 0; k--) {
+      ret = queue[k].reward + this.config.agent.gamma * ret;
+    }
+    const first = queue.shift();
+    this.replayBuffer.add(first.state, first.action, ret, nextState, done);
+  }
+
+  birdEpsilon(id, epsilon = this.epsilon) {
+    if (this.frozen) return 0;
+    return populationEpsilon(epsilon, id, this.birdCount, this.config.population.epsilonSpread);
+  }
+
+  /* ---- SCHEDULES ---- */
+
+  // Epsilon, or the temperature under Boltzmann exploration
+  explorationSchedule() {
+    const agent = this.config.agent;
+    const boltzmann = agent.exploration === 'boltzmann';
+    return new Schedule({
+      shape: agent.epsilonSchedule,
+      unit: agent.epsilonUnit,
+      start: boltzmann ? agent.temperatureStart : agent.epsilonStart,
+      end: boltzmann ? agent.temperatureMin : agent.epsilonMin,
+      decay: agent.epsilonDecay,
+      duration: agent.epsilonSteps,
+      warmup: agent.epsilonWarmup
+    });
+  }
+
+  learningRateSchedule() {
+    const agent = this.config.agent;
+    return new Schedule({
+      shape: agent.lrSchedule,
+      unit: agent.lrUnit,
+      start: agent.learningRate,
+      end: agent.lrMin,
+      decay: agent.lrDecay,
+      duration: agent.lrSteps,
+      warmup: agent.lrWarmup,
+      warmupFrom: 0
+    });
+  }
+
+  // Current epsilon or temperature; null with NoisyNet
+  get explorationValue() {
+    if (this.config.agent.exploration === 'noisy') return null;
+    return this.explorationSchedule().value(this.schedulePosition);
+  }
+
+  // Exploration rate of epsilon-greedy (0 under the other strategies)
+  get epsilon() {
+    return this.config.agent.exploration === 'epsilon' ? this.explorationValue : 0;
+  }
+
+  get learningRate() {
+    return this.learningRateSchedule().value(this.schedulePosition);
+  }
+
+  applyLearningRate() {
+    this.model.optimizer.learningRate = this.learningRate;
+  }
+
+  // "epsilon 0.4500" / "temperature 0.800" / "NoisyNet" for logs
+  explorationLabel() {
+    const exploration = this.config.agent.exploration;
+    if (exploration === 'noisy') return 'NoisyNet';
+    if (exploration === 'boltzmann') return `temperature ${this.explorationValue.toFixed(3)}`;
+    return `epsilon ${this.epsilon.toFixed(4)}`;
+  }
+
+  // Episode-based schedules advance once per world reset
+  async endEpisode(birds) {
+    if (!this.frozen) this.schedulePosition.episodes++;
+  }
+
+  /* ---- NOISYNET ---- */
+
+  // Noise from the run seed; layers loaded from a bundle need it too
+  attachNoise(model) {
+    model.layers.forEach(layer => {
+      if (layer instanceof NoisyDense) layer.random = () => this.noiseRandom();
+    });
+  }
+
+  // Noise on for acting and training, off (mean weights) for frozen
+  // agents and for the values shown in the HUD and overlay
+  setNoise(enabled) {
+    [this.model, this.targetModel].forEach(model => model.layers.forEach(layer => {
+      if (layer instanceof NoisyDense) layer.noisy = enabled;
+    }));
+  }
+
+  // Drops pending n-step transitions (e.g. episode cut short)
+  resetEpisode(birdCount = 1) {
+    super.resetEpisode(birdCount);
+    this.nStepQueues = new Map();
+  }
+
+  // Fresh brain: new weights, empty replay, schedules from the start
+  reset() {
+    this.rebuildModels();
+    this.replayBuffer = this.newReplayBuffer();
+    this.nStepQueues = new Map();
+    this.schedulePosition = { trainSteps: 0, episodes: 0 };
+  }
+
+  // Returns this step's loss, or null when the step didn't train
   async train() {
+    const { batchSize, trainThrottle, targetUpdateFreq, gamma } = this.config.agent;
+
     // CORREÇÃO: Incrementa stepCount SEMPRE, no início, para evitar congelamento
     this.stepCount++;
 
-    // Throttle: Treina só a cada TRAIN_THROTTLE passos (agora stepCount já avançou)
-    if (this.stepCount % TRAIN_THROTTLE !== 0) {
-      // Opcional: Log para debug (comente se quiser silenciar)
-      // console.log('Step skipped:', this.stepCount);
-      return;
+    // Throttle: Treina só a cada trainThrottle passos (agora stepCount já avançou)
+    if (this.stepCount % trainThrottle !== 0) {
+      return null;
     }
-    if (this.replayBuffer.size() < BATCH_SIZE) return;
+    if (this.replayBuffer.size() < batchSize) return null;
     if (this.trainingInProgress) {
       console.log('Training skipped: Already in progress');
-      return;
+      return null;
     }
 
     this.trainingInProgress = true;
+    let stepLoss = null;
 
-    const batch = this.replayBuffer.sampleLastPrioritizedAndRandom(BATCH_SIZE);
+    const { batch, indices, weights } = this.replayBuffer.sample(batchSize);
 
     const states = [];
     const actions = [];
@@ -205,49 +544,34 @@ export class DQNAgent {
       dones.push(transition.done ? 1 : 0);
     });
 
-    // Create input tensors
-    const stateTensor = tf.tensor2d(states, [BATCH_SIZE, 7]);
-    const nextStateTensor = tf.tensor2d(nextStates, [BATCH_SIZE, 7]);
-    const rewardTensor = tf.tensor1d(rewards);
-    const doneTensor = tf.tensor1d(dones);
-
     try {
-      // Compute targets inside tidy
-      const targets = tf.tidy(() => {
-        const nextQValues = this.targetModel.predict(nextStateTensor);
-        const maxNextQ = nextQValues.max(1);
-        const notDone = tf.logicalNot(tf.cast(doneTensor, 'bool'));
-        const targetQ = rewardTensor.add(maxNextQ.mul(gamma).mul(notDone));
-        const qValues = this.model.predict(stateTensor);
-        const qValuesArray = qValues.arraySync();
-        const targetQArray = targetQ.arraySync();
-        for (let i = 0; i < BATCH_SIZE; i++) {
-          qValuesArray[i][actions[i]] = targetQArray[i];
-        }
-        const targets = tf.tensor2d(qValuesArray, [BATCH_SIZE, 2]);
-        nextQValues.dispose();
-        maxNextQ.dispose();
-        targetQ.dispose();
-        qValues.dispose();
-        return targets;
+      let tdErrors = null;
+      this.applyLearningRate();
+      this.setNoise(true);
+
+      const loss = tf.tidy(() => {
+        const stateTensor = this.stateTensor(states);
+        const nextStateTensor = this.stateTensor(nextStates);
+        const actionMask = tf.oneHot(tf.tensor1d(actions, 'int32'), ACTIONS.length);
+        const weightTensor = tf.tensor1d(weights);
+
+        const targetQ = this.bellmanTargets(nextStateTensor, rewards, dones, Math.pow(gamma, this.variant.nStep));
+
+        // MSE on the taken action only, weighted by importance sampling (1 unless PER)
+        return this.model.optimizer.minimize(() => {
+          const qTaken = this.model.apply(stateTensor, { training: true }).mul(actionMask).sum(1);
+          const td = targetQ.sub(qTaken);
+          tdErrors = td.dataSync();
+          return weightTensor.mul(td.square()).mean();
+        }, true);
       });
 
-      // Fit outside tidy
-      await this.model.fit(stateTensor, targets, {
-        epochs: 1,
-        batchSize: BATCH_SIZE,
-        verbose: 0
-      });
-
-      this.decayEpsilon();
-
-      targets.dispose();
-      stateTensor.dispose();
-      nextStateTensor.dispose();
-      rewardTensor.dispose();
-      doneTensor.dispose();
+      this.lastLoss = (await loss.data())[0];
+      stepLoss = this.lastLoss;
+      loss.dispose();
 
-      //console.log('Training completed. Step:', this.stepCount, 'Buffer size:', this.replayBuffer.size());
+      this.replayBuffer.updatePriorities(indices, tdErrors);
+      this.schedulePosition.trainSteps++;
 
     } catch (error) {
       console.error('Training error:', error);
@@ -256,37 +580,194 @@ export class DQNAgent {
     }
 
     // CORREÇÃO: Check de target update após incremento (agora sempre executa)
-    if (this.stepCount % TARGET_UPDATE_FREQ === 0) {
+    if (this.stepCount % targetUpdateFreq === 0) {
       this.targetModel.setWeights(this.model.getWeights());
     }
+    return stepLoss;
+  }
+
+  // Bellman targets r + discount·max Q'(s') from the target network
+  // (no gradient). Call inside tf.tidy.
+  bellmanTargets(nextStateTensor, rewards, dones, discount) {
+    const nextTargetQ = this.targetModel.predict(nextStateTensor);
+    let maxNextQ;
+    if (this.variant.doubleDQN) {
+      const bestNext = this.model.predict(nextStateTensor).argMax(1);
+      maxNextQ = nextTargetQ.mul(tf.oneHot(bestNext, ACTIONS.length)).sum(1);
+    } else {
+      maxNextQ = nextTargetQ.max(1);
+    }
+    const notDone = tf.scalar(1).sub(tf.tensor1d(dones));
+    return tf.tensor1d(rewards).add(maxNextQ.mul(discount).mul(notDone));
   }
 
-  async saveBrain(generation) {
-    await this.model.save('localstorage://flappy-dqn');
-    localStorage.setItem('flappy_dqn_metadata', JSON.stringify({
-      epsilon,
-      generation
+  // Warm start from human demonstrations (a DemoBuffer, see
+  // demos.js) before epsilon-greedy training, per demo.pretrain:
+  //   'bc'   — cross-entropy between softmax(Q) and the human action
+  //   'dqfd' — 1-step TD loss + demo.marginWeight × large-margin loss
+  //            max_a [Q(s,a) + margin·(a ≠ a_E)] − Q(s,a_E)
+  //            (Hester et al. 2017, without the n-step and L2 terms)
+  // Runs demo.pretrainSteps batches; -> loss of the last batch
+  async pretrain(demos, { onProgress } = {}) {
+    const { pretrain: method, pretrainSteps, margin, marginWeight } = this.config.demo;
+    const { batchSize, targetUpdateFreq, gamma } = this.config.agent;
+    if (method !== 'bc' && method !== 'dqfd') {
+      throw new Error(`Unknown pretraining method: ${method}`);
+    }
+    if (demos.size() === 0) throw new Error('No demonstrations to pretrain on');
+    this.applyLearningRate();
+    this.setNoise(true);
+    if (this.normalizer) demos.transitions.forEach(t => this.normalizer.update(t.state));
+
+    let lastLoss = null;
+    for (let step = 1; step <= pretrainSteps; step++) {
+      const batch = demos.sample(batchSize, this.sampleRandom);
+      const actions = batch.map(t => t.action);
+      const loss = tf.tidy(() => {
+        const stateTensor = this.stateTensor(batch.map(t => t.state));
+        const actionMask = tf.oneHot(tf.tensor1d(actions, 'int32'), ACTIONS.length);
+        let targetQ = null;
+        if (method === 'dqfd') {
+          const nextStateTensor = this.stateTensor(batch.map(t => t.nextState));
+          targetQ = this.bellmanTargets(nextStateTensor, batch.map(t => t.reward), batch.map(t => (t.done ? 1 : 0)), gamma);
+        }
+        return this.model.optimizer.minimize(() => {
+          const q = this.model.apply(stateTensor, { training: true });
+          if (method === 'bc') return tf.losses.softmaxCrossEntropy(actionMask, q);
+          const qExpert = q.mul(actionMask).sum(1);
+          const marginLoss = q.add(tf.scalar(1).sub(actionMask).mul(margin)).max(1).sub(qExpert).mean();
+          const tdLoss = targetQ.sub(qExpert).square().mean();
+          return tdLoss.add(marginLoss.mul(marginWeight));
+        }, true);
+      });
+      lastLoss = (await loss.data())[0];
+      loss.dispose();
+
+      if (step % targetUpdateFreq === 0) {
+        this.targetModel.setWeights(this.model.getWeights());
+      }
+      if (onProgress && (step % 100 === 0 || step === pretrainSteps)) {
+        await onProgress({ step, total: pretrainSteps, loss: lastLoss });
+      }
+    }
+    this.targetModel.setWeights(this.model.getWeights());
+    this.lastLoss = lastLoss;
+    console.log(`Pretrained (${method}) on ${demos.size()} demo transitions for ${pretrainSteps} batches, loss ${formatLoss(lastLoss)}`);
+    return lastLoss;
+  }
+
+  // model.json topology + weights (base64) + schedule position (and
+  // the epsilon it gives) + normalizer, in memory
+  async exportBrain(generation) {
+    let artifacts = null;
+    await this.model.save(tf.io.withSaveHandler(async result => {
+      artifacts = result;
+      return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
     }));
-    console.log('DQN Brain saved! Gen:', generation);
+    const weightData = new tf.io.CompositeArrayBuffer(artifacts.weightData).slice();
+    return createBundle(this, generation, {
+      modelTopology: artifacts.modelTopology,
+      weightSpecs: artifacts.weightSpecs,
+      weightData: bytesToBase64(weightData),
+      epsilon: this.epsilon,
+      schedule: { ...this.schedulePosition },
+      normalizer: this.exportNormalizer()
+    });
   }
 
-  async loadBrain() {
+  async importBrain(bundle) {
+    checkBundle(bundle, this);
+    const { modelTopology, weightSpecs, weightData, epsilon, schedule, normalizer } = bundle.payload;
+    const model = await tf.loadLayersModel(tf.io.fromMemory({
+      modelTopology,
+      weightSpecs,
+      weightData: base64ToBytes(weightData)
+    }));
+    // A forma declarada no bundle pode mentir; confere a do modelo também
+    const inputShape = model.inputs[0].shape.slice(1);
+    const outputs = model.outputs[0].shape[1];
+    if (!sameShape(inputShape, this.inputShape) || outputs !== ACTIONS.length) {
+      model.dispose();
+      throw new Error(
+        `Brain model maps [${inputShape}] -> ${outputs} actions; ` +
+        `this agent needs [${this.inputShape}] -> ${ACTIONS.length}`
+      );
+    }
+    // Cérebros sem normalizador (ou de antes dele) viam as features cruas
+    let stats = null;
+    try {
+      stats = normalizer ? RunningNormalizer.fromJSON(normalizer, inputShape[0]) : null;
+    } catch (e) {
+      model.dispose();
+      throw e;
+    }
+    this.adoptModel(model, !!bundle.config.agent.dueling);
+    this.adoptNormalizer(stats);
+    this.schedulePosition = schedule ? { ...schedule } : legacySchedulePosition(epsilon, bundle.config.agent);
+    console.log('DQN Brain imported! Gen:', bundle.generation, 'Variant:', this.variant);
+    return { generation: bundle.generation, config: bundle.config };
+  }
+
+  async exportReplay() {
+    return this.replayBuffer.snapshot();
+  }
+
+  // Throws when the snapshot's states don't fit this agent's observation
+  async importReplay(snapshot) {
+    const size = this.modelInputShape.reduce((a, b) => a * b, 1);
+    const pixels = this.modelObservation.mode === 'pixels';
+    if (snapshot.stateSize !== size || snapshot.pixels !== pixels) {
+      throw new Error(
+        `Saved replay buffer holds ${snapshot.pixels ? 'pixel' : 'feature'} states of ${snapshot.stateSize} values; ` +
+        `this agent observes ${pixels ? 'pixel' : 'feature'} states of ${size}`
+      );
+    }
+    return this.replayBuffer.restore(snapshot);
+  }
+
+  replayUsage() {
+    const buffer = this.replayBuffer;
+    return { size: buffer.size(), capacity: buffer.maxSize, bytes: buffer.byteLength() };
+  }
+
+  // A arquitetura salva manda: o target precisa bater com o modelo carregado
+  adoptModel(model, dueling) {
+    this.config.agent.dueling = dueling;
+    // NoisyNet também vem da arquitetura salva
+    const noisy = model.layers.some(layer => layer instanceof NoisyDense);
+    if (noisy) this.config.agent.exploration = 'noisy';
+    else if (this.config.agent.exploration === 'noisy') this.config.agent.exploration = 'epsilon';
+    this.nStepQueues = new Map();
+    if (this.model && this.model !== model) this.model.dispose();
+    if (this.targetModel) this.targetModel.dispose();
+    this.model = model;
+    this.attachNoise(model);
+    // CORREÇÃO: Recompile o modelo carregado para restaurar optimizer/loss
+    this.model.compile({
+      optimizer: tf.train.adam(this.config.agent.learningRate),
+      loss: 'meanSquaredError'
+    });
+    this.targetModel = this.createModel();
+    this.targetModel.setWeights(model.getWeights());
+  }
+
+  // Pre-IndexedDB brains: localstorage://flappy-dqn + flappy_dqn_metadata
+  async loadLegacyBrain() {
     try {
-      const model = await tf.loadLayersModel('localstorage://flappy-dqn');
-      this.model = model;
-      // CORREÇÃO: Recompile o modelo carregado para restaurar optimizer/loss
-      this.model.compile({
-        optimizer: tf.train.adam(LEARNING_RATE),
-        loss: 'meanSquaredError'
-      });
-      this.targetModel = this.createModel();
-      this.targetModel.setWeights(model.getWeights());
       const metadata = JSON.parse(localStorage.getItem('flappy_dqn_metadata'));
+      // Cérebros antigos só guardavam seed/variant; sem variant são MLP sem dueling
+      const savedConfig = metadata && (metadata.config || {
+        seed: metadata.seed,
+        agent: metadata.variant || { dueling: false }
+      });
+      const model = await tf.loadLayersModel('localstorage://flappy-dqn');
+      this.adoptModel(model, !!(savedConfig && savedConfig.agent && savedConfig.agent.dueling));
+      this.adoptNormalizer(null);
       if (metadata) {
-        epsilon = metadata.epsilon;
+        this.schedulePosition = legacySchedulePosition(metadata.epsilon, { ...this.config.agent, ...savedConfig?.agent });
         const generation = metadata.generation;
-        console.log('DQN Brain loaded! Epsilon:', epsilon, 'Gen:', generation);
-        return { success: true, generation };
+        console.log('DQN Brain loaded! Epsilon:', this.epsilon, 'Gen:', generation, 'Seed:', metadata.seed, 'Variant:', this.variant);
+        return { success: true, generation, seed: metadata.seed, config: savedConfig };
       }
     } catch (e) {
       console.log('No DQN brain found');
@@ -294,26 +775,65 @@ export class DQNAgent {
     return { success: false, generation: 1 };
   }
 
-  decayEpsilon() {
-    if (epsilon > EPSILON_MIN) {
-      epsilon *= EPSILON_DECAY;
-      if (epsilon < EPSILON_MIN) epsilon = EPSILON_MIN;
-    }
-  }
-
   getQValues(state) {
+    this.setNoise(false);
     return tf.tidy(() => {
-      const stateTensor = tf.tensor2d([state], [1, 7]);
+      const stateTensor = this.stateTensor([state]);
       const qValues = this.model.predict(stateTensor);
       const qArray = qValues.dataSync();
       return { [ACTION_IDLE]: qArray[0], [ACTION_FLAP]: qArray[1] };
     });
   }
+
+  // Batched Q-values, one predict for all states
+  actionValues(states) {
+    if (states.length === 0) return [];
+    this.setNoise(false);
+    const q = tf.tidy(() => this.model.predict(this.stateTensor(states)).dataSync());
+    const n = ACTIONS.length;
+    return states.map((_, i) => Array.from(q.subarray(i * n, (i + 1) * n)));
+  }
+
+  stats() {
+    return { epsilon: this.explorationValue, maxQ: this.lastMaxQ, bufferSize: this.replayBuffer.size() };
+  }
+
+  summary() {
+    return `loss ${formatLoss(this.lastLoss)}, ${this.explorationLabel()}`;
+  }
+
+  hudLines(id, state) {
+    const qValues = this.getQValues(state);
+    const { exploration, lrSchedule, lrWarmup } = this.config.agent;
+    const explorationLines = {
+      epsilon: () => [
+        `Epsilon: ${this.epsilon.toFixed(4)}`,
+        ...(this.birdCount > 1 ? [`Bird ε: ${this.birdEpsilon(id).toFixed(4)}`] : [])
+      ],
+      boltzmann: () => [`Temperature: ${this.explorationValue.toFixed(3)}`],
+      noisy: () => ['Exploration: NoisyNet']
+    }[exploration]();
+    return [
+      ...explorationLines,
+      ...(lrSchedule !== 'constant' || lrWarmup > 0 ? [`LR: ${this.learningRate.toExponential(2)}`] : []),
+      `Q-Idle: ${qValues[ACTION_IDLE].toFixed(2)}`,
+      `Q-Flap: ${qValues[ACTION_FLAP].toFixed(2)}`
+    ];
+  }
 }
 
-export function resetBrain() {
+export function resetBrain(agent) {
   localStorage.removeItem('flappy-dqn');
   localStorage.removeItem('flappy_dqn_metadata');
-  epsilon = 0.1;
+  if (agent) agent.reset();
   console.log('DQN Brain reset');
-}
\ No newline at end of file
+}
+
+// Bundles from before the schedules only kept epsilon: the
+// training step at which the old per-step decay had reached it
+function legacySchedulePosition(epsilon, agent) {
+  const { epsilonStart, epsilonDecay } = agent;
+  const decayed = epsilon > 0 && epsilon < epsilonStart && epsilonDecay > 0 && epsilonDecay < 1;
+  const trainSteps = decayed ? Math.round(Math.log(epsilon / epsilonStart) / Math.log(epsilonDecay)) : 0;
+  return { trainSteps, episodes: 0 };
+}
@@ -0,0 +1,105 @@
+/* ============================================================
+ * GREEDY EVALUATION / BENCHMARK
+ * ------------------------------------------------------------
+ * Plays a frozen agent (greedy, no remember/train/save) on a
+ * fixed list of seeds, one bird per world, and summarizes the
+ * scores and survival frames. Seeds come from config.eval.seed,
+ * not the run seed, so different brains face the same worlds.
+ * Shared by the scene (?mode=eval) and scripts/train.js --eval.
+ * ============================================================ */
+
+import { FlappyEnv } from '../env/flappy.js';
+import { deriveSeed } from '../util/random.js';
+
+export const REPORT_VERSION = 1;
+const PROGRESS_FRAMES = 500;
+
+export function evaluationSeeds(config) {
+  const { episodes, seed } = config.eval;
+  return Array.from({ length: episodes }, (_, i) => deriveSeed(seed, `eval:${i}`));
+}
+
+// onProgress({ index, total, frame, score, result }) is awaited every
+// PROGRESS_FRAMES frames and after each episode (result set), so the
+// browser can draw. meta is copied into the report.
+export async function runEvaluation(agent, config, { onProgress, meta = {} } = {}) {
+  // Um pássaro só; física e recompensa continuam lidas do config compartilhado
+  const env = new FlappyEnv({ config: { ...config, population: { ...config.population, size: 1 } } });
+  const seeds = evaluationSeeds(config);
+  const wasFrozen = agent.frozen;
+  agent.freeze(true);
+
+  const episodes = [];
+  try {
+    for (let i = 0; i < seeds.length; i++) {
+      let state = env.reset(seeds[i]);
+      let nextProgress = PROGRESS_FRAMES;
+      while (!env.done && env.frame < config.eval.maxFrames) {
+        const [action] = await agent.chooseActions([state], [0]);
+        state = env.stepRepeat([action], env.actionRepeat)[0].state;
+        if (onProgress && env.frame >= nextProgress) {
+          nextProgress += PROGRESS_FRAMES;
+          await onProgress({ index: i, total: seeds.length, frame: env.frame, score: env.score });
+        }
+      }
+      const result = { seed: seeds[i], score: env.score, frames: env.bird.frames, truncated: !env.done };
+      episodes.push(result);
+      if (onProgress) {
+        await onProgress({ index: i, total: seeds.length, frame: env.frame, score: env.score, result });
+      }
+    }
+  } finally {
+    agent.freeze(wasFrozen);
+  }
+
+  return {
+    version: REPORT_VERSION,
+    createdAt: new Date().toISOString(),
+    agent: agent.label,
+    ...meta,
+    evalSeed: config.eval.seed,
+    maxFrames: config.eval.maxFrames,
+    score: summarize(episodes.map(e => e.score)),
+    frames: summarize(episodes.map(e => e.frames)),
+    episodes,
+    config
+  };
+}
+
+/* ------------------------------------------------------------
+ * STATISTICS
+ * ------------------------------------------------------------ */
+export function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.reduce((a, b) => a + b, 0) / (sorted.length || 1);
+  return {
+    mean,
+    median: percentile(sorted, 50),
+    p10: percentile(sorted, 10),
+    p90: percentile(sorted, 90),
+    min: sorted.length ? sorted[0] : 0,
+    max: sorted.length ? sorted[sorted.length - 1] : 0
+  };
+}
+
+// Linear interpolation between closest ranks; `sorted` ascending
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(rank);
+  const hi = Math.ceil(rank);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
+
+export function formatReport(report) {
+  const row = (name, s) =>
+    `${name.padEnd(7)} mean ${s.mean.toFixed(1)}  median ${s.median.toFixed(1)}  ` +
+    `p10 ${s.p10.toFixed(1)}  p90 ${s.p90.toFixed(1)}  max ${s.max}`;
+  const truncated = report.episodes.filter(e => e.truncated).length;
+  return [
+    `Evaluation: ${report.agent}, ${report.episodes.length} episodes (eval seed ${report.evalSeed})`,
+    row('Score', report.score),
+    row('Frames', report.frames),
+    ...(truncated > 0 ? [`${truncated} episode(s) hit maxFrames (${report.maxFrames})`] : [])
+  ].join('\n');
+}
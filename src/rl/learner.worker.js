@@ -0,0 +1,124 @@
+/* ============================================================
+ * DQN LEARNER — WEB WORKER
+ * ------------------------------------------------------------
+ * Owns the model, target model, replay buffer and optimizer.
+ * Messages are processed strictly in order, one at a time, so
+ * every frame sent by the scene gets its train() call and none
+ * is skipped.
+ * Weights go back every weightSyncInterval train steps for the
+ * main thread's inference copy, which waits for them (see
+ * workerAgent.js), so the sync step never depends on timing.
+ * ============================================================ */
+
+import { mergeConfig } from '../config.js';
+import { DQNAgent } from './dqn.js';
+
+let agent = null;
+const queue = [];
+let draining = false;
+
+self.onmessage = event => {
+  queue.push(event.data);
+  if (!draining) drain();
+};
+
+async function drain() {
+  draining = true;
+  while (queue.length > 0) {
+    const message = queue.shift();
+    try {
+      const result = await handle(message);
+      if (message.id !== undefined) {
+        self.postMessage({ type: 'reply', id: message.id, result });
+      }
+    } catch (error) {
+      console.error('Learner error:', error);
+      if (message.id !== undefined) {
+        self.postMessage({ type: 'reply', id: message.id, error: error.message });
+      }
+    }
+  }
+  draining = false;
+}
+
+async function handle(message) {
+  switch (message.type) {
+    case 'init':
+      agent = new DQNAgent({ config: message.config, backend: message.backend });
+      return snapshot();
+
+    // One message = one simulation frame (one transition per live bird)
+    case 'transitions':
+      for (const t of message.transitions) {
+        if (t.resetEpisode) {
+          agent.resetEpisode();
+          continue;
+        }
+        if (t.endEpisode) {
+          await agent.endEpisode();
+          continue;
+        }
+        agent.remember(t.state, t.action, t.reward, t.nextState, t.done, t.stream);
+      }
+      // Flush (salvar/carregar): só entrega, sem passo de treino
+      if (message.train === false) return undefined;
+      await agent.train();
+      if (agent.stepCount % agent.config.agent.weightSyncInterval === 0) {
+        // A thread principal espera por estes pesos (ver workerAgent.train)
+        if (message.id !== undefined) return snapshot();
+        postWeights();
+      }
+      return undefined;
+
+    case 'config':
+      mergeConfig(agent.config, message.config);
+      if (agent.seed !== agent.config.seed) agent.setSeed(agent.config.seed);
+      agent.applyConfig();
+      return undefined;
+
+    case 'sync':
+      return snapshot();
+
+    case 'exportReplay':
+      return agent.exportReplay();
+
+    case 'importReplay': {
+      const restored = await agent.importReplay(message.snapshot);
+      // Uso do buffer volta na resposta, que a thread principal espera
+      return { restored, ...snapshot() };
+    }
+
+    case 'load':
+      // Brain loaded on the main thread (storage lives there); adopt it
+      mergeConfig(agent.config, message.config);
+      if (agent.modelOutdated()) {
+        agent.rebuildModels();
+      }
+      agent.setSeed(agent.config.seed);
+      agent.applyConfig();
+      agent.importWeights(message.weights);
+      agent.importNormalizer(message.normalizer);
+      agent.schedulePosition = { ...message.schedule };
+      return undefined;
+
+    default:
+      throw new Error(`Unknown learner message: ${message.type}`);
+  }
+}
+
+function snapshot() {
+  return {
+    weights: agent.exportWeights(),
+    normalizer: agent.exportNormalizer(),
+    schedule: agent.schedulePosition,
+    stepCount: agent.stepCount,
+    lastLoss: agent.lastLoss,
+    bufferSize: agent.replayBuffer.size(),
+    replay: agent.replayUsage()
+  };
+}
+
+function postWeights() {
+  const data = snapshot();
+  self.postMessage({ type: 'weights', ...data }, data.weights.map(w => w.data.buffer));
+}
@@ -0,0 +1,257 @@
+/* ============================================================
+ * NEUROEVOLUTION — GENETIC ALGORITHM AGENT
+ * ------------------------------------------------------------
+ * One small MLP (features -> hidden -> 2, tanh) per bird, weights as a
+ * flat Float32Array genome. No gradients: after every world
+ * reset the population is ranked by fitness
+ *   frames survived + scoreBonus * pipes passed
+ * and the next one is bred with elitism, tournament selection,
+ * uniform crossover and Gaussian mutation. Plain JS, no tfjs.
+ * ============================================================ */
+
+import { ACTIONS, STATE_SIZE, observationSize } from '../env/flappy.js';
+import { createRandom, deriveSeed, randomSeed } from '../util/random.js';
+import { Agent } from './agent.js';
+import { checkBundle, createBundle } from './brain.js';
+
+/* ------------------------------------------------------------
+ * NETWORK
+ * ------------------------------------------------------------ */
+export function genomeSize(hidden, inputs = STATE_SIZE) {
+  return inputs * hidden + hidden + hidden * ACTIONS.length + ACTIONS.length;
+}
+
+// Forward pass; returns the output activations (one per action).
+// The genome must have been built for state.length inputs.
+export function evaluateGenome(genome, hidden, state) {
+  const inputs = state.length;
+  let offset = 0;
+  const h = new Float32Array(hidden);
+  for (let j = 0; j < hidden; j++) {
+    let sum = 0;
+    for (let i = 0; i < inputs; i++) {
+      sum += state[i] * genome[offset + i * hidden + j];
+    }
+    h[j] = sum;
+  }
+  offset += inputs * hidden;
+  for (let j = 0; j < hidden; j++) {
+    h[j] = Math.tanh(h[j] + genome[offset + j]);
+  }
+  offset += hidden;
+
+  const out = new Float32Array(ACTIONS.length);
+  for (let k = 0; k < ACTIONS.length; k++) {
+    let sum = genome[offset + hidden * ACTIONS.length + k];
+    for (let j = 0; j < hidden; j++) {
+      sum += h[j] * genome[offset + j * ACTIONS.length + k];
+    }
+    out[k] = sum;
+  }
+  return out;
+}
+
+/* ------------------------------------------------------------
+ * AGENT
+ * ------------------------------------------------------------ */
+export class NeuroevolutionAgent extends Agent {
+  constructor(options = {}) {
+    super(options.config);
+    this.setSeed(this.config.seed ?? randomSeed());
+    this.population = [];
+    this.fitness = [];
+    this.history = []; // { generation, best, avg } por geração
+    this.generation = 1;
+    this.resizePopulation(this.config.population.size);
+  }
+
+  get type() {
+    return 'neuro';
+  }
+
+  get label() {
+    return 'GA';
+  }
+
+  get hidden() {
+    return this.config.neuro.hidden;
+  }
+
+  // Base features plus those of the enabled variants
+  get inputs() {
+    return observationSize(this.config);
+  }
+
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.config.seed = this.seed;
+    this.random = createRandom(deriveSeed(this.seed, 'neuro'));
+  }
+
+  applyConfig() {
+    // Mudou a camada oculta ou as entradas: genomas antigos não servem mais
+    if (this.population.length > 0 && this.population[0].length !== genomeSize(this.hidden, this.inputs)) {
+      console.warn('neuro.hidden or the observation changed; starting from a fresh random population');
+      this.population = [];
+    }
+  }
+
+  randomGenome() {
+    const genome = new Float32Array(genomeSize(this.hidden, this.inputs));
+    for (let i = 0; i < genome.length; i++) {
+      genome[i] = this.gaussian();
+    }
+    return genome;
+  }
+
+  // Grows with mutated copies of the current best, or shrinks
+  resizePopulation(size) {
+    size = Math.max(1, Math.floor(size));
+    if (this.population.length === 0) {
+      this.population = Array.from({ length: size }, () => this.randomGenome());
+    }
+    while (this.population.length < size) {
+      this.population.push(this.mutate(Float32Array.from(this.population[0])));
+    }
+    this.population.length = size;
+    this.fitness = new Array(size).fill(0);
+  }
+
+  resetEpisode(birdCount = 1) {
+    super.resetEpisode(birdCount);
+    this.applyConfig();
+    this.resizePopulation(birdCount);
+  }
+
+  async chooseActions(states, ids) {
+    return states.map((state, i) => {
+      const out = evaluateGenome(this.population[ids[i]], this.hidden, state);
+      let best = 0;
+      for (let k = 1; k < out.length; k++) {
+        if (out[k] > out[best]) best = k;
+      }
+      return ACTIONS[best];
+    });
+  }
+
+  async endEpisode(birds) {
+    const { scoreBonus } = this.config.neuro;
+    birds.forEach(bird => {
+      this.fitness[bird.id] = bird.frames + scoreBonus * bird.score;
+    });
+
+    const best = Math.max(...this.fitness);
+    const avg = this.fitness.reduce((a, b) => a + b, 0) / this.fitness.length;
+    this.history.push({ generation: this.generation, best, avg });
+    if (this.history.length > 100) this.history.shift();
+
+    this.evolve();
+    this.generation++;
+  }
+
+  evolve() {
+    const { eliteCount, crossoverRate } = this.config.neuro;
+    const size = this.population.length;
+    const ranked = this.population
+      .map((genome, i) => ({ genome, fitness: this.fitness[i] }))
+      .sort((a, b) => b.fitness - a.fitness);
+
+    // Elitismo: os melhores passam intactos (o primeiro vira o pássaro 0),
+    // mas sempre sobra lugar para ao menos um filho
+    const elites = Math.max(0, Math.min(eliteCount, size - 1));
+    const next = ranked.slice(0, elites).map(r => Float32Array.from(r.genome));
+
+    while (next.length < size) {
+      const a = this.tournament(ranked);
+      const child = this.random() < crossoverRate
+        ? this.crossover(a, this.tournament(ranked))
+        : Float32Array.from(a);
+      next.push(this.mutate(child));
+    }
+
+    this.population = next;
+    this.fitness = new Array(size).fill(0);
+  }
+
+  tournament(ranked) {
+    const { tournamentSize } = this.config.neuro;
+    let best = null;
+    for (let i = 0; i < tournamentSize; i++) {
+      const candidate = ranked[Math.floor(this.random() * ranked.length)];
+      if (!best || candidate.fitness > best.fitness) best = candidate;
+    }
+    return best.genome;
+  }
+
+  crossover(a, b) {
+    const child = new Float32Array(a.length);
+    for (let i = 0; i < a.length; i++) {
+      child[i] = this.random() < 0.5 ? a[i] : b[i];
+    }
+    return child;
+  }
+
+  mutate(genome) {
+    const { mutationRate, mutationStd } = this.config.neuro;
+    for (let i = 0; i < genome.length; i++) {
+      if (this.random() < mutationRate) {
+        genome[i] += this.gaussian() * mutationStd;
+      }
+    }
+    return genome;
+  }
+
+  // Box-Muller
+  gaussian() {
+    const u = 1 - this.random();
+    const v = this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  hudLines() {
+    const last = this.history[this.history.length - 1];
+    return [
+      `GA Gen: ${this.generation}`,
+      last
+        ? `Fit best/avg: ${last.best.toFixed(0)} / ${last.avg.toFixed(0)}`
+        : 'Fit best/avg: -'
+    ];
+  }
+
+  // Output activations of bird `id`'s network (not Q-values, but the
+  // larger one is still the chosen action)
+  actionValues(states, id = 0) {
+    const genome = this.population[id];
+    if (!genome) return null;
+    return states.map(state => Array.from(evaluateGenome(genome, this.hidden, state)));
+  }
+
+  summary() {
+    const last = this.history[this.history.length - 1];
+    return last ? `fitness best ${last.best.toFixed(0)} avg ${last.avg.toFixed(0)}` : '';
+  }
+
+  async exportBrain(generation) {
+    return createBundle(this, generation, {
+      gaGeneration: this.generation,
+      history: this.history,
+      population: this.population.map(genome => Array.from(genome))
+    });
+  }
+
+  async importBrain(bundle) {
+    checkBundle(bundle, this);
+    const { population, history, gaGeneration } = bundle.payload;
+    const hidden = bundle.config.neuro.hidden; // Genomas definem a arquitetura
+    if (population.some(genome => genome.length !== genomeSize(hidden, bundle.inputShape[0]))) {
+      throw new Error(`GA genomes don't match a ${hidden}-unit hidden layer`);
+    }
+    this.config.neuro.hidden = hidden;
+    this.population = population.map(genome => Float32Array.from(genome));
+    this.fitness = new Array(this.population.length).fill(0);
+    this.history = history || [];
+    this.generation = gaGeneration || bundle.generation;
+    console.log('GA population imported! Gen:', bundle.generation, 'Size:', this.population.length);
+    return { generation: bundle.generation, config: bundle.config };
+  }
+}
@@ -0,0 +1,71 @@
+/* ============================================================
+ * OBSERVATION NORMALIZER
+ * ------------------------------------------------------------
+ * Running mean and variance of each feature (Welford), so the
+ * network sees roughly zero-mean, unit-variance inputs whatever
+ * the screen size or physics. The env's fixed scales still
+ * apply first; this only standardizes on top of them:
+ *
+ *   x' = clip((x - mean) / sqrt(var + 1e-8), -clip, clip)
+ *
+ * The agent updates it with every state it acts from (the
+ * states a bird dies in are only next states, whose value the
+ * done flag masks out of the targets) and uses it for acting
+ * and training alike.
+ * Frozen agents stop updating it. The statistics are saved in
+ * the brain bundle, next to the weights.
+ * ============================================================ */
+
+const VARIANCE_EPSILON = 1e-8;
+
+export class RunningNormalizer {
+  constructor(size) {
+    this.size = size;
+    this.count = 0;
+    this.mean = new Float64Array(size);
+    this.m2 = new Float64Array(size); // Soma dos quadrados dos desvios
+  }
+
+  update(state) {
+    this.count++;
+    for (let i = 0; i < this.size; i++) {
+      const delta = state[i] - this.mean[i];
+      this.mean[i] += delta / this.count;
+      this.m2[i] += delta * (state[i] - this.mean[i]);
+    }
+  }
+
+  variance(i) {
+    return this.count > 1 ? this.m2[i] / this.count : 1;
+  }
+
+  // Writes the normalized `state` into out[offset..]; clip <= 0 = no clipping
+  normalizeInto(state, out, offset = 0, clip = 0) {
+    for (let i = 0; i < this.size; i++) {
+      let value = this.count > 1 ? (state[i] - this.mean[i]) / Math.sqrt(this.variance(i) + VARIANCE_EPSILON) : state[i];
+      if (clip > 0) value = Math.max(-clip, Math.min(clip, value));
+      out[offset + i] = value;
+    }
+    return out;
+  }
+
+  normalize(state, clip = 0) {
+    return this.normalizeInto(state, new Array(this.size), 0, clip);
+  }
+
+  toJSON() {
+    return { size: this.size, count: this.count, mean: Array.from(this.mean), m2: Array.from(this.m2) };
+  }
+
+  // Throws when the saved statistics don't fit `size` features
+  static fromJSON(data, size = data?.size) {
+    if (!data || data.size !== size || data.mean?.length !== size || data.m2?.length !== size) {
+      throw new Error(`Saved observation normalizer has ${data?.size} features; this agent observes ${size}`);
+    }
+    const normalizer = new RunningNormalizer(size);
+    normalizer.count = data.count;
+    normalizer.mean.set(data.mean);
+    normalizer.m2.set(data.m2);
+    return normalizer;
+  }
+}
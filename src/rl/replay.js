@@ -0,0 +1,689 @@
+/* ============================================================
+ * EXPERIENCE REPLAY
+ * ------------------------------------------------------------
+ * Circular replay buffer with selectable sampling strategies:
+ *   'uniform' — uniform random
+ *   'recent'  — newest 25% + uniform rest
+ *   'reward'  — proportional to |reward|
+ *   'per'     — prioritized by TD error (Schaul et al. 2015)
+ * Every strategy returns { batch, indices, weights } so the
+ * learner doesn't care which one is active. Settings come from
+ * the `replay` section of the run config and are read live,
+ * except size and PER on/off which fix the buffer's layout.
+ * Transitions live in preallocated typed arrays (one ring per
+ * field). Feature states are stored as Float32. Pixel states
+ * (given a frame layout) are not stored whole: each distinct
+ * frame is kept once in a FrameStore, and a transition holds
+ * the frame slots of its state and next state, so consecutive
+ * stacks (and s / s') share their frames. When the frame store
+ * is full, the oldest transitions make room.
+ * snapshot() / restore() copy them out for IndexedDB (see
+ * BrainStore.saveReplay).
+ * ============================================================ */
+
+export const SAMPLING_STRATEGIES = ['uniform', 'recent', 'reward', 'per'];
+
+/* ------------------------------------------------------------
+ * SUM TREE
+ * ------------------------------------------------------------
+ * Binary tree over priorities: O(log n) update and prefix-sum
+ * search. Also keeps the minimum, needed to normalize the
+ * importance-sampling weights.
+ * ------------------------------------------------------------ */
+export class SumTree {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.sums = new Float64Array(2 * capacity - 1);
+    this.mins = new Float64Array(2 * capacity - 1).fill(Infinity);
+  }
+
+  total() {
+    return this.sums[0];
+  }
+
+  min() {
+    return this.mins[0];
+  }
+
+  get(index) {
+    return this.sums[index + this.capacity - 1];
+  }
+
+  update(index, priority, min = priority) {
+    let node = index + this.capacity - 1;
+    this.sums[node] = priority;
+    this.mins[node] = min;
+    while (node > 0) {
+      node = (node - 1) >> 1;
+      const left = 2 * node + 1;
+      const right = left + 1;
+      this.sums[node] = this.sums[left] + (right < this.sums.length ? this.sums[right] : 0);
+      this.mins[node] = Math.min(this.mins[left], right < this.mins.length ? this.mins[right] : Infinity);
+    }
+  }
+
+  // Empty leaf: no mass, and out of the minimum
+  clear(index) {
+    this.update(index, 0, Infinity);
+  }
+
+  // Leaf index whose prefix-sum interval contains value
+  find(value) {
+    let node = 0;
+    while (2 * node + 1 < this.sums.length) {
+      const left = 2 * node + 1;
+      if (value <= this.sums[left] || left + 1 >= this.sums.length) {
+        node = left;
+      } else {
+        value -= this.sums[left];
+        node = left + 1;
+      }
+    }
+    return node - (this.capacity - 1);
+  }
+}
+
+/* ------------------------------------------------------------
+ * FRAME STORE
+ * ------------------------------------------------------------
+ * Pixel frames kept once each, reference-counted. States are
+ * channels-last [height, width, frameStack] bytes; frame c of a
+ * state is every stack-th byte from c. Identical frames (found
+ * by hash, then compared) share a slot.
+ * ------------------------------------------------------------ */
+export class FrameStore {
+  constructor(frameSize, stack, capacity) {
+    this.frameSize = frameSize;
+    this.stack = stack;
+    this.capacity = capacity;
+    this.frames = new Uint8Array(capacity * frameSize);
+    this.refs = new Uint32Array(capacity);
+    this.hashes = new Uint32Array(capacity);
+    this.generations = new Uint32Array(capacity); // Muda a cada vez que o slot é liberado
+    this.freeSlots = new Int32Array(capacity);
+    this.freeCount = capacity;
+    for (let i = 0; i < capacity; i++) this.freeSlots[i] = capacity - 1 - i;
+    this.byHash = new Map();
+    this.scratch = new Uint8Array(frameSize);
+  }
+
+  // Frame c of an interleaved state (in a scratch array)
+  extract(state, c) {
+    for (let p = 0; p < this.frameSize; p++) {
+      this.scratch[p] = state[p * this.stack + c];
+    }
+    return this.scratch;
+  }
+
+  // Slot holding `frame`, shared when it is already stored; -1 when full
+  intern(frame) {
+    const hash = hashBytes(frame);
+    const found = this.byHash.get(hash);
+    if (found !== undefined && this.holds(found, frame)) {
+      this.refs[found]++;
+      return found;
+    }
+    if (this.freeCount === 0) return -1;
+    const slot = this.freeSlots[--this.freeCount];
+    this.frames.set(frame, slot * this.frameSize);
+    this.refs[slot] = 1;
+    this.hashes[slot] = hash;
+    this.byHash.set(hash, slot);
+    return slot;
+  }
+
+  holds(slot, frame) {
+    const from = slot * this.frameSize;
+    for (let p = 0; p < this.frameSize; p++) {
+      if (this.frames[from + p] !== frame[p]) return false;
+    }
+    return true;
+  }
+
+  retain(slot) {
+    this.refs[slot]++;
+  }
+
+  release(slot) {
+    if (--this.refs[slot] > 0) return;
+    if (this.byHash.get(this.hashes[slot]) === slot) this.byHash.delete(this.hashes[slot]);
+    this.generations[slot]++;
+    this.freeSlots[this.freeCount++] = slot;
+  }
+
+  frame(slot) {
+    return this.frames.subarray(slot * this.frameSize, (slot + 1) * this.frameSize);
+  }
+
+  size() {
+    return this.capacity - this.freeCount;
+  }
+
+  byteLength() {
+    return this.frames.byteLength + this.refs.byteLength + this.hashes.byteLength +
+      this.generations.byteLength + this.freeSlots.byteLength;
+  }
+}
+
+// FNV-1a
+function hashBytes(bytes) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash = Math.imul(hash ^ bytes[i], 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Frames to preallocate for `size` pixel transitions: with shared
+// frames each transition brings min(frameStack, actionRepeat) new
+// ones, plus room for one whole transition while the oldest go
+export function replayFrameCapacity(size, frameStack, actionRepeat = 1) {
+  return size * Math.min(frameStack, Math.max(1, actionRepeat)) + 2 * frameStack;
+}
+
+/* ------------------------------------------------------------
+ * REPLAY BUFFER
+ * ------------------------------------------------------------
+ * layout: { frameStack, frameCapacity } for pixel states (see
+ * FrameStore), or null to store states whole.
+ * ------------------------------------------------------------ */
+export class ReplayBuffer {
+  constructor(config, random = Math.random, layout = null) {
+    if (!SAMPLING_STRATEGIES.includes(config.sampling)) {
+      throw new Error(`Unknown replay sampling strategy: ${config.sampling}`);
+    }
+    this.config = config;
+    this.maxSize = config.size;
+    this.random = random;
+    this.layout = layout;
+    this.position = 0; // Próximo slot a escrever
+    this.count = 0;
+    this.stateSize = 0; // Definido pelo primeiro estado (allocate)
+    this.states = null;
+    this.frameStore = null;
+  }
+
+  // Preallocates every ring for states of stateSize values:
+  // Float32 for features; for pixels a frame store and the frame
+  // slots of each state (bytes stored whole without a layout)
+  allocate(stateSize, pixels) {
+    this.stateSize = stateSize;
+    this.pixels = pixels;
+    if (pixels && this.layout) {
+      const { frameStack, frameCapacity } = this.layout;
+      if (stateSize % frameStack !== 0) {
+        throw new Error(`Pixel states of ${stateSize} values don't split into ${frameStack} frames`);
+      }
+      this.frameStore = new FrameStore(stateSize / frameStack, frameStack, frameCapacity);
+      this.stateFrames = new Int32Array(this.maxSize * frameStack);
+      this.nextFrames = new Int32Array(this.maxSize * frameStack);
+    } else {
+      const StateArray = pixels ? Uint8Array : Float32Array;
+      this.states = new StateArray(this.maxSize * stateSize);
+      this.nextStates = new StateArray(this.maxSize * stateSize);
+    }
+    this.actions = new Uint8Array(this.maxSize);
+    this.rewards = new Float64Array(this.maxSize);
+    this.dones = new Uint8Array(this.maxSize);
+  }
+
+  add(state, action, reward, nextState, done) {
+    if (this.stateSize === 0) this.allocate(state.length, state instanceof Uint8Array);
+    if (state.length !== this.stateSize) {
+      throw new Error(`Replay buffer holds states of ${this.stateSize} values, got ${state.length}`);
+    }
+    const store = this.frameStore;
+    if (!store) {
+      return this.write(action, reward, done, index => {
+        const offset = index * this.stateSize;
+        this.states.set(state, offset);
+        this.nextStates.set(nextState, offset);
+      });
+    }
+    return this.write(action, reward, done, index => {
+      this.storeFrames(this.stateFrames, index, c => store.intern(store.extract(state, c)));
+      this.storeFrames(this.nextFrames, index, c => store.intern(store.extract(nextState, c)));
+    });
+  }
+
+  // Fills the next slot, dropping the oldest transition when full;
+  // storeStates(index) writes the states
+  write(action, reward, done, storeStates) {
+    if (this.count === this.maxSize) this.evictOldest();
+    const index = this.position;
+    storeStates(index);
+    this.actions[index] = action;
+    this.rewards[index] = reward;
+    this.dones[index] = done ? 1 : 0;
+    this.position = (index + 1) % this.maxSize;
+    this.count++;
+    return index;
+  }
+
+  // Frame slots of one state, from slotOf(c); while the frame store
+  // is full, the oldest transitions give theirs back
+  storeFrames(target, index, slotOf) {
+    const stack = this.frameStore.stack;
+    for (let c = 0; c < stack; c++) {
+      let slot = slotOf(c);
+      while (slot < 0) {
+        if (this.count === 0) {
+          throw new Error(`Replay frame store (${this.frameStore.capacity} frames) can't hold one transition`);
+        }
+        this.evictOldest();
+        slot = slotOf(c);
+      }
+      target[index * stack + c] = slot;
+    }
+  }
+
+  // Frees the oldest transition's slot; -> that slot
+  evictOldest() {
+    const index = this.newestIndex(this.count - 1);
+    if (this.frameStore) {
+      const stack = this.frameStore.stack;
+      for (let c = 0; c < stack; c++) {
+        this.frameStore.release(this.stateFrames[index * stack + c]);
+        this.frameStore.release(this.nextFrames[index * stack + c]);
+      }
+    }
+    this.count--;
+    return index;
+  }
+
+  // Transition in slot `index`. Feature states are views into the
+  // rings, valid until the slot is overwritten: copy them to keep
+  // them. Pixel states are rebuilt from their frames into new arrays.
+  get(index) {
+    if (this.frameStore) {
+      return {
+        state: this.readFrames(this.stateFrames, index),
+        action: this.actions[index],
+        reward: this.rewards[index],
+        nextState: this.readFrames(this.nextFrames, index),
+        done: this.dones[index] === 1
+      };
+    }
+    const start = index * this.stateSize;
+    const end = start + this.stateSize;
+    return {
+      state: this.states.subarray(start, end),
+      action: this.actions[index],
+      reward: this.rewards[index],
+      nextState: this.nextStates.subarray(start, end),
+      done: this.dones[index] === 1
+    };
+  }
+
+  // Interleaves the frames of transition `index` back into a state
+  readFrames(slots, index) {
+    const { stack, frameSize, frames } = this.frameStore;
+    const state = new Uint8Array(this.stateSize);
+    for (let c = 0; c < stack; c++) {
+      const from = slots[index * stack + c] * frameSize;
+      for (let p = 0; p < frameSize; p++) {
+        state[p * stack + c] = frames[from + p];
+      }
+    }
+    return state;
+  }
+
+  get strategy() {
+    return this.config.sampling;
+  }
+
+  // k = 0 é a transição mais nova
+  newestIndex(k) {
+    return (this.position - 1 - k + this.maxSize) % this.maxSize;
+  }
+
+  // k-th occupied slot, 0 <= k < count. Slot k itself when the
+  // buffer is full or nothing was evicted yet (the buffer then
+  // fills from slot 0); otherwise the window after the evicted ones.
+  occupiedSlot(k) {
+    if (this.count === this.maxSize) return k;
+    return (this.position - this.count + k + this.maxSize) % this.maxSize;
+  }
+
+  randomIndex() {
+    return this.occupiedSlot(Math.floor(this.random() * this.count));
+  }
+
+  sample(batchSize) {
+    let indices;
+    if (this.strategy === 'uniform') {
+      indices = this.sampleRandomBasic(batchSize);
+    } else if (this.strategy === 'reward') {
+      indices = this.sampleRewardPrioritized(batchSize);
+    } else {
+      indices = this.sampleLastPrioritizedAndRandom(batchSize);
+    }
+    return {
+      batch: indices.map(i => this.get(i)),
+      indices,
+      weights: new Array(indices.length).fill(1)
+    };
+  }
+
+  // Only meaningful for PER; the other strategies ignore TD errors
+  updatePriorities(indices, tdErrors) { }
+
+  sampleRandomBasic(batchSize) {
+    const indices = [];
+    for (let i = 0; i < batchSize; i++) {
+      indices.push(this.randomIndex());
+    }
+    return indices;
+  }
+
+  sampleLastPrioritizedAndRandom(batchSize) {
+    const indices = [];
+    const recentPercentage = 0.25;  // 25% do batchSize pra recentes
+    const numRecent = Math.min(Math.floor(batchSize * recentPercentage), this.count);
+    const numRandom = batchSize - numRecent;
+
+    // Parte 1: últimas numRecent, da mais nova pra mais antiga
+    for (let k = 0; k < numRecent; k++) {
+      indices.push(this.newestIndex(k));
+    }
+
+    // Parte 2: numRandom aleatórias do buffer todo
+    if (this.count > 0) {
+      for (let i = 0; i < numRandom; i++) {
+        indices.push(this.randomIndex());
+      }
+    }
+
+    this.shuffle(indices);
+    return indices;
+  }
+
+  sampleRewardPrioritized(batchSize) {
+    if (this.count === 0) return [];
+
+    const epsilon = 1.0;  // Evita p=0 em rewards baixos
+    const cumsum = [];
+    let sum = 0;
+    for (let i = 0; i < this.count; i++) {
+      sum += Math.abs(this.rewards[this.occupiedSlot(i)]) + epsilon;
+      cumsum.push(sum);
+    }
+
+    const indices = [];
+    for (let i = 0; i < batchSize; i++) {
+      const rand = this.random() * sum;
+      // Binary search no cumsum
+      let low = 0, high = cumsum.length - 1;
+      while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (cumsum[mid] >= rand) {
+          high = mid;
+        } else {
+          low = mid + 1;
+        }
+      }
+      indices.push(this.occupiedSlot(low));
+    }
+
+    this.shuffle(indices);
+    return indices;
+  }
+
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+  }
+
+  size() {
+    return this.count;
+  }
+
+  // Memory held by the preallocated rings (0 until the first add)
+  byteLength() {
+    if (this.stateSize === 0) return 0;
+    const states = this.frameStore
+      ? this.frameStore.byteLength() + this.stateFrames.byteLength + this.nextFrames.byteLength
+      : this.states.byteLength + this.nextStates.byteLength;
+    return states + this.actions.byteLength + this.rewards.byteLength + this.dones.byteLength;
+  }
+
+  // Oldest first (views, see get)
+  transitions() {
+    const result = [];
+    for (let k = this.count - 1; k >= 0; k--) {
+      result.push(this.get(this.newestIndex(k)));
+    }
+    return result;
+  }
+
+  // Compact copy of the transitions, oldest first, safe to store or
+  // postMessage; null while empty. Priorities are not kept. Pixel
+  // buffers with a frame store save each frame once:
+  //   { frameSize, frameStack, frames, stateFrames, nextFrames }
+  // instead of whole states and nextStates.
+  snapshot() {
+    if (this.count === 0) return null;
+    const n = this.count;
+    const snapshot = {
+      stateSize: this.stateSize,
+      pixels: this.pixels,
+      count: n,
+      actions: new Uint8Array(n),
+      rewards: new Float64Array(n),
+      dones: new Uint8Array(n)
+    };
+    for (let k = 0; k < n; k++) {
+      const index = this.newestIndex(n - 1 - k);
+      snapshot.actions[k] = this.actions[index];
+      snapshot.rewards[k] = this.rewards[index];
+      snapshot.dones[k] = this.dones[index];
+    }
+    return this.frameStore ? this.snapshotFrames(snapshot) : this.snapshotStates(snapshot);
+  }
+
+  snapshotStates(snapshot) {
+    const { count: n, stateSize: size } = snapshot;
+    const StateArray = this.pixels ? Uint8Array : Float32Array;
+    snapshot.states = new StateArray(n * size);
+    snapshot.nextStates = new StateArray(n * size);
+    for (let k = 0; k < n; k++) {
+      const from = this.newestIndex(n - 1 - k) * size;
+      snapshot.states.set(this.states.subarray(from, from + size), k * size);
+      snapshot.nextStates.set(this.nextStates.subarray(from, from + size), k * size);
+    }
+    return snapshot;
+  }
+
+  snapshotFrames(snapshot) {
+    const store = this.frameStore;
+    const { stack, frameSize } = store;
+    const n = snapshot.count;
+    // Slot do frame store -> posição no snapshot, na ordem de uso
+    const ids = new Int32Array(store.capacity).fill(-1);
+    const frames = new Uint8Array(store.size() * frameSize);
+    let used = 0;
+    const remap = (slots, target) => {
+      for (let k = 0; k < n; k++) {
+        const index = this.newestIndex(n - 1 - k);
+        for (let c = 0; c < stack; c++) {
+          const slot = slots[index * stack + c];
+          if (ids[slot] < 0) {
+            ids[slot] = used;
+            frames.set(store.frame(slot), used * frameSize);
+            used++;
+          }
+          target[k * stack + c] = ids[slot];
+        }
+      }
+      return target;
+    };
+    snapshot.frameSize = frameSize;
+    snapshot.frameStack = stack;
+    snapshot.stateFrames = remap(this.stateFrames, new Int32Array(n * stack));
+    snapshot.nextFrames = remap(this.nextFrames, new Int32Array(n * stack));
+    snapshot.frames = frames.slice(0, used * frameSize);
+    return snapshot;
+  }
+
+  // Adds a snapshot's transitions after the current ones (the newest
+  // maxSize win); -> number restored. Takes both snapshot layouts.
+  restore(snapshot) {
+    const { count, stateSize } = snapshot;
+    if (this.stateSize > 0 && (stateSize !== this.stateSize || snapshot.pixels !== this.pixels)) {
+      throw new Error(`Replay snapshot holds states of ${stateSize} values; this buffer holds ${this.stateSize}`);
+    }
+    if (this.stateSize === 0) this.allocate(stateSize, snapshot.pixels);
+    const first = Math.max(0, count - this.maxSize);
+    const store = this.frameStore;
+    if (snapshot.frames && store && snapshot.frameSize === store.frameSize && snapshot.frameStack === store.stack) {
+      this.restoreFrames(snapshot, first);
+      return count - first;
+    }
+    for (let k = first; k < count; k++) {
+      this.add(
+        snapshotState(snapshot, 'states', 'stateFrames', k),
+        snapshot.actions[k],
+        snapshot.rewards[k],
+        snapshotState(snapshot, 'nextStates', 'nextFrames', k),
+        snapshot.dones[k] === 1
+      );
+    }
+    return count - first;
+  }
+
+  // Same layout: frames go straight into the frame store, each once
+  restoreFrames(snapshot, first) {
+    const store = this.frameStore;
+    const { stack, frameSize } = store;
+    const cache = new Map(); // frame do snapshot -> { slot, generation }
+    const slotOf = id => {
+      const cached = cache.get(id);
+      if (cached && store.generations[cached.slot] === cached.generation) {
+        store.retain(cached.slot);
+        return cached.slot;
+      }
+      const slot = store.intern(snapshot.frames.subarray(id * frameSize, (id + 1) * frameSize));
+      if (slot >= 0) cache.set(id, { slot, generation: store.generations[slot] });
+      return slot;
+    };
+    for (let k = first; k < snapshot.count; k++) {
+      this.write(snapshot.actions[k], snapshot.rewards[k], snapshot.dones[k] === 1, index => {
+        this.storeFrames(this.stateFrames, index, c => slotOf(snapshot.stateFrames[k * stack + c]));
+        this.storeFrames(this.nextFrames, index, c => slotOf(snapshot.nextFrames[k * stack + c]));
+      });
+    }
+  }
+}
+
+// State k of a snapshot in either layout: whole (`field`) or as
+// frame ids (`framesField`)
+function snapshotState(snapshot, field, framesField, k) {
+  const size = snapshot.stateSize;
+  if (!snapshot.frames) return snapshot[field].subarray(k * size, (k + 1) * size);
+  const { frameSize, frameStack: stack, frames } = snapshot;
+  const state = new Uint8Array(size);
+  for (let c = 0; c < stack; c++) {
+    const from = snapshot[framesField][k * stack + c] * frameSize;
+    for (let p = 0; p < frameSize; p++) {
+      state[p * stack + c] = frames[from + p];
+    }
+  }
+  return state;
+}
+
+/* ------------------------------------------------------------
+ * PRIORITIZED REPLAY BUFFER
+ * ------------------------------------------------------------
+ * P(i) = p_i^α / Σ p^α, with p_i = |δ_i| + ε. Bias is corrected
+ * with w_i = (N·P(i))^-β / max w. α and β are annealed linearly
+ * over annealSteps sample() calls.
+ * ------------------------------------------------------------ */
+const PRIORITY_EPSILON = 1e-3;
+
+export class PrioritizedReplayBuffer extends ReplayBuffer {
+  constructor(config, random, layout) {
+    super(config, random, layout);
+    this.tree = new SumTree(this.maxSize);
+    this.maxPriority = 1.0;
+    this.sampleCount = 0;
+  }
+
+  get strategy() {
+    return 'per';
+  }
+
+  get progress() {
+    return Math.min(1, this.sampleCount / this.config.annealSteps);
+  }
+
+  get alpha() {
+    const { alpha, alphaEnd } = this.config;
+    return alpha + (alphaEnd - alpha) * this.progress;
+  }
+
+  get beta() {
+    const { beta, betaEnd } = this.config;
+    return beta + (betaEnd - beta) * this.progress;
+  }
+
+  // Every add (and frame restore) goes through write()
+  write(action, reward, done, storeStates) {
+    const index = super.write(action, reward, done, storeStates);
+    // Transições novas entram com prioridade máxima: garantem ser vistas ao menos uma vez
+    this.tree.update(index, this.maxPriority);
+    return index;
+  }
+
+  evictOldest() {
+    const index = super.evictOldest();
+    this.tree.clear(index);
+    return index;
+  }
+
+  sample(batchSize) {
+    if (this.count === 0) return { batch: [], indices: [], weights: [] };
+
+    const total = this.tree.total();
+    const segment = total / batchSize;
+    const beta = this.beta;
+    const minProb = this.tree.min() / total;
+    const maxWeight = Math.pow(this.count * minProb, -beta);
+
+    const indices = [];
+    const weights = [];
+    for (let i = 0; i < batchSize; i++) {
+      // Amostragem estratificada: um sorteio por segmento
+      const value = Math.min((i + this.random()) * segment, total * (1 - 1e-12));
+      // Folha vazia (só em bordas de arredondamento): a transição mais nova
+      let index = this.tree.find(value);
+      if (this.tree.get(index) === 0) index = this.newestIndex(0);
+      const prob = this.tree.get(index) / total;
+      indices.push(index);
+      weights.push(Math.pow(this.count * prob, -beta) / maxWeight);
+    }
+
+    this.sampleCount++;
+    return { batch: indices.map(i => this.get(i)), indices, weights };
+  }
+
+  byteLength() {
+    return super.byteLength() + this.tree.sums.byteLength + this.tree.mins.byteLength;
+  }
+
+  updatePriorities(indices, tdErrors) {
+    const alpha = this.alpha;
+    for (let i = 0; i < indices.length; i++) {
+      const priority = Math.pow(Math.abs(tdErrors[i]) + PRIORITY_EPSILON, alpha);
+      this.tree.update(indices[i], priority);
+      this.maxPriority = Math.max(this.maxPriority, priority);
+    }
+  }
+}
+
+export function createReplayBuffer(config, random, layout = null) {
+  return config.sampling === 'per'
+    ? new PrioritizedReplayBuffer(config, random, layout)
+    : new ReplayBuffer(config, random, layout);
+}
@@ -0,0 +1,60 @@
+/* ============================================================
+ * SCHEDULES
+ * ------------------------------------------------------------
+ * A value that moves from `start` to `end` as training goes
+ * on, used for exploration (epsilon, or the Boltzmann
+ * temperature) and for the learning rate:
+ *   'constant'    — always start
+ *   'exponential' — start · decay^t, floored (or capped) at end
+ *   'linear'      — start -> end over `duration` units
+ *   'cosine'      — half cosine from start to end over `duration`
+ * t counts units after `warmup`: during the first `warmup`
+ * units the value ramps linearly from `warmupFrom` to `start`
+ * (warmupFrom = start simply holds it there).
+ * The unit is 'step' (one training batch) or 'episode'; the
+ * agent keeps its position in both and saves it with the brain,
+ * so a loaded brain resumes its schedules where they were:
+ *
+ *   const epsilon = new Schedule({ shape: 'linear', start: 1, end: 0.05, duration: 10000 });
+ *   epsilon.value({ trainSteps: 2500, episodes: 40 }); // 0.7625
+ * ============================================================ */
+
+export const SCHEDULE_SHAPES = ['constant', 'exponential', 'linear', 'cosine'];
+export const SCHEDULE_UNITS = ['step', 'episode'];
+
+export class Schedule {
+  constructor({ shape = 'constant', start, end = start, decay = 1, duration = 1, unit = 'step', warmup = 0, warmupFrom = start }) {
+    if (!SCHEDULE_SHAPES.includes(shape)) throw new Error(`Unknown schedule shape: ${shape}`);
+    if (!SCHEDULE_UNITS.includes(unit)) throw new Error(`Unknown schedule unit: ${unit}`);
+    this.shape = shape;
+    this.start = start;
+    this.end = end;
+    this.decay = decay;
+    this.duration = Math.max(1, duration);
+    this.unit = unit;
+    this.warmup = Math.max(0, warmup);
+    this.warmupFrom = warmupFrom;
+  }
+
+  // Value after t units
+  at(t) {
+    const { start, end } = this;
+    if (t < this.warmup) return this.warmupFrom + (start - this.warmupFrom) * (t / this.warmup);
+    const k = t - this.warmup;
+    const progress = Math.min(1, k / this.duration);
+    switch (this.shape) {
+      case 'exponential': {
+        const value = start * Math.pow(this.decay, k);
+        return start >= end ? Math.max(end, value) : Math.min(end, value);
+      }
+      case 'linear': return start + (end - start) * progress;
+      case 'cosine': return end + (start - end) * 0.5 * (1 + Math.cos(Math.PI * progress));
+      default: return start;
+    }
+  }
+
+  // Value at an agent's position { trainSteps, episodes }
+  value(position) {
+    return this.at(this.unit === 'episode' ? position.episodes : position.trainSteps);
+  }
+}
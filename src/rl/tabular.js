@@ -0,0 +1,240 @@
+/* ============================================================
+ * TABULAR Q-LEARNING
+ * ------------------------------------------------------------
+ * Classic Q-learning over a discretized state: dx, dy and velY
+ * (optionally gapHeight and dyNext) are bucketed with the bin
+ * edges in config.tabular, and each visited bucket keeps one Q
+ * value per action. Updated online on every remember():
+ *   Q(s,a) += alpha * (r + gamma * max_a' Q(s',a') - Q(s,a))
+ * The table is exported as JSON; only visited states are stored.
+ * ============================================================ */
+
+import { parseNumberList } from '../config.js';
+import { ACTION_FLAP, ACTION_IDLE, ACTIONS, stateToFeatures } from '../env/flappy.js';
+import { createRandom, deriveSeed, randomSeed } from '../util/random.js';
+import { Agent, populationEpsilon } from './agent.js';
+import { checkBundle, createBundle } from './brain.js';
+
+const TABLE_VERSION = 1;
+
+// Number of edges <= value, i.e. a bucket in [0, edges.length]
+export function bucketOf(value, edges) {
+  let bucket = 0;
+  while (bucket < edges.length && value >= edges[bucket]) bucket++;
+  return bucket;
+}
+
+export class TabularQAgent extends Agent {
+  constructor(options = {}) {
+    super(options.config);
+    this.epsilon = this.config.tabular.epsilonStart;
+    this.setSeed(this.config.seed ?? randomSeed());
+    this.table = new Map(); // chave do estado -> [Q por ação]
+    this.visits = new Map();
+    this.updateCount = 0;
+    this.lastMaxQ = null;
+    this.tdSquaredSum = 0; // Erros TD do frame, para a loss
+    this.tdCount = 0;
+    this.applyConfig();
+  }
+
+  get type() {
+    return 'tabular';
+  }
+
+  get label() {
+    return 'Q-table';
+  }
+
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.config.seed = this.seed;
+    this.exploreRandom = createRandom(deriveSeed(this.seed, 'explore'));
+  }
+
+  /* ------------------------------------------------------------
+   * DISCRETIZATION
+   * ------------------------------------------------------------ */
+  binSpec() {
+    const { dxBins, dyBins, velYBins, gapFeatures, gapHeightBins, dyNextBins } = this.config.tabular;
+    const spec = { dx: parseNumberList(dxBins), dy: parseNumberList(dyBins), velY: parseNumberList(velYBins) };
+    if (gapFeatures) {
+      spec.gapHeight = parseNumberList(gapHeightBins);
+      spec.dyNext = parseNumberList(dyNextBins);
+    }
+    return spec;
+  }
+
+  // Bins changed: old keys point at different buckets, drop the table
+  applyConfig() {
+    const spec = this.binSpec();
+    const signature = JSON.stringify(spec);
+    if (this.binSignature && this.binSignature !== signature && this.table.size > 0) {
+      console.warn('Tabular bins changed; starting from an empty Q-table');
+      this.table = new Map();
+      this.visits = new Map();
+    }
+    this.bins = spec;
+    this.binSignature = signature;
+    this.stateCount = Object.values(spec).reduce((count, edges) => count * (edges.length + 1), 1);
+  }
+
+  // Bucket indices joined, e.g. '3,5,4'
+  stateKey(state) {
+    const features = stateToFeatures(state);
+    return Object.keys(this.bins)
+      .map(name => bucketOf(features[name], this.bins[name]))
+      .join(',');
+  }
+
+  qValues(key) {
+    return this.table.get(key) || new Array(ACTIONS.length).fill(0);
+  }
+
+  // Ties go to IDLE (index 0), the safe default when nothing is known
+  greedy(key) {
+    const q = this.qValues(key);
+    let best = 0;
+    for (let a = 1; a < q.length; a++) {
+      if (q[a] > q[best]) best = a;
+    }
+    return ACTIONS[best];
+  }
+
+  /* ------------------------------------------------------------
+   * ACTING & LEARNING
+   * ------------------------------------------------------------ */
+  birdEpsilon(id) {
+    if (this.frozen) return 0;
+    return populationEpsilon(this.epsilon, id, this.birdCount, this.config.population.epsilonSpread);
+  }
+
+  async chooseActions(states, ids = states.map((_, i) => i)) {
+    let maxQSum = 0;
+    const actions = states.map((state, i) => {
+      const key = this.stateKey(state);
+      maxQSum += Math.max(...this.qValues(key));
+      if (this.exploreRandom() < this.birdEpsilon(ids[i])) {
+        return this.exploreRandom() < 0.2 ? ACTION_FLAP : ACTION_IDLE;
+      }
+      return this.greedy(key);
+    });
+    this.lastMaxQ = states.length > 0 ? maxQSum / states.length : null;
+    return actions;
+  }
+
+  remember(state, action, reward, nextState, done) {
+    const { learningRate, gamma } = this.config.tabular;
+    const key = this.stateKey(state);
+    const q = this.qValues(key).slice();
+    const future = done ? 0 : Math.max(...this.qValues(this.stateKey(nextState)));
+    const tdError = reward + gamma * future - q[action];
+    q[action] += learningRate * tdError;
+    this.tdSquaredSum += tdError * tdError;
+    this.tdCount++;
+    this.table.set(key, q);
+    this.visits.set(key, (this.visits.get(key) || 0) + 1);
+    this.updateCount++;
+  }
+
+  // Learning already happened in remember(); decays epsilon and
+  // reports the frame's mean squared TD error as the loss
+  async train() {
+    const { epsilonMin, epsilonDecay } = this.config.tabular;
+    if (this.epsilon > epsilonMin) {
+      this.epsilon = Math.max(epsilonMin, this.epsilon * epsilonDecay);
+    }
+    if (this.tdCount === 0) return null;
+    const loss = this.tdSquaredSum / this.tdCount;
+    this.tdSquaredSum = 0;
+    this.tdCount = 0;
+    return loss;
+  }
+
+  coverage() {
+    return this.table.size / this.stateCount;
+  }
+
+  stats() {
+    return { epsilon: this.epsilon, maxQ: this.lastMaxQ, bufferSize: this.table.size };
+  }
+
+  summary() {
+    return `coverage ${(this.coverage() * 100).toFixed(1)}%, epsilon ${this.epsilon.toFixed(4)}`;
+  }
+
+  // Unvisited buckets read as all zeros
+  actionValues(states) {
+    return states.map(state => this.qValues(this.stateKey(state)).slice());
+  }
+
+  hudLines(id, state) {
+    const key = this.stateKey(state);
+    const q = this.qValues(key);
+    return [
+      `Epsilon: ${this.epsilon.toFixed(4)}`,
+      ...(this.birdCount > 1 ? [`Bird ε: ${this.birdEpsilon(id).toFixed(4)}`] : []),
+      `Coverage: ${(this.coverage() * 100).toFixed(1)}% (${this.table.size}/${this.stateCount})`,
+      `Bucket: [${key}] x${this.visits.get(key) || 0}`,
+      `Q-Idle: ${q[ACTION_IDLE].toFixed(2)}`,
+      `Q-Flap: ${q[ACTION_FLAP].toFixed(2)}`
+    ];
+  }
+
+  /* ------------------------------------------------------------
+   * PERSISTENCE
+   * ------------------------------------------------------------ */
+  toJSON() {
+    const entries = {};
+    this.table.forEach((q, key) => {
+      entries[key] = { q, visits: this.visits.get(key) || 0 };
+    });
+    return {
+      version: TABLE_VERSION,
+      features: Object.keys(this.bins),
+      bins: this.bins,
+      epsilon: this.epsilon,
+      updateCount: this.updateCount,
+      table: entries
+    };
+  }
+
+  fromJSON(data) {
+    if (data.version !== TABLE_VERSION) {
+      throw new Error(`Unsupported Q-table version ${data.version}`);
+    }
+    this.table = new Map();
+    this.visits = new Map();
+    Object.entries(data.table).forEach(([key, entry]) => {
+      this.table.set(key, entry.q);
+      this.visits.set(key, entry.visits);
+    });
+    this.epsilon = data.epsilon;
+    this.updateCount = data.updateCount || 0;
+  }
+
+  async exportBrain(generation) {
+    return createBundle(this, generation, this.toJSON());
+  }
+
+  async importBrain(bundle) {
+    checkBundle(bundle, this);
+    if (bundle.payload.version !== TABLE_VERSION) {
+      throw new Error(`Unsupported Q-table version ${bundle.payload.version}`);
+    }
+    // As chaves só valem com os bins com que foram gravadas
+    const saved = bundle.config.tabular;
+    Object.assign(this.config.tabular, {
+      gapFeatures: saved.gapFeatures,
+      dxBins: saved.dxBins,
+      dyBins: saved.dyBins,
+      velYBins: saved.velYBins,
+      gapHeightBins: saved.gapHeightBins,
+      dyNextBins: saved.dyNextBins
+    });
+    this.applyConfig();
+    this.fromJSON(bundle.payload);
+    console.log('Q-table imported! Gen:', bundle.generation, 'States:', this.table.size);
+    return { generation: bundle.generation, config: bundle.config };
+  }
+}
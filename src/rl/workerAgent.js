@@ -0,0 +1,243 @@
+/* ============================================================
+ * DQN AGENT — WORKER-BACKED
+ * ------------------------------------------------------------
+ * Same interface as DQNAgent, but learning happens in
+ * learner.worker.js. The main thread keeps an inference copy
+ * for chooseActions()/getQValues() and streams transitions to
+ * the worker once per frame; the worker streams weights (and
+ * the observation normalizer's statistics and the schedule
+ * position) back.
+ * Storage (IndexedDB, localStorage) stays on the main thread.
+ * ============================================================ */
+
+import { DQNAgent } from './dqn.js';
+import { Agent, formatLoss } from './agent.js';
+
+export class WorkerDQNAgent extends Agent {
+  constructor(options = {}) {
+    // Cópia local só para inferência; aprende nada
+    const local = new DQNAgent(options);
+    super(local.config);
+    this.local = local;
+    this.pending = [];
+    this.requests = new Map();
+    this.nextRequestId = 0;
+    this.stepCount = 0;
+    this.sentSteps = 0; // Frames enviados ao learner (= passos de treino dele)
+    this.lastLoss = null;
+    this.freshLoss = false; // Snapshot novo desde o último train()
+    this.bufferSize = 0;
+    this.replay = null; // Uso do buffer no worker (replayUsage)
+
+    this.worker = new Worker(new URL('./learner.worker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = event => this.onMessage(event.data);
+    this.worker.onerror = event => console.error('Learner worker error:', event.message);
+    this.ready = this.request('init', { config: this.config, backend: options.backend || 'webgl' })
+      .then(snapshot => this.applySnapshot(snapshot));
+  }
+
+  get variant() {
+    return this.local.variant;
+  }
+
+  get type() {
+    return this.local.type;
+  }
+
+  get label() {
+    return this.local.label;
+  }
+
+  get seed() {
+    return this.local.seed;
+  }
+
+  get epsilon() {
+    return this.local.epsilon;
+  }
+
+  get replayBuffer() {
+    return { size: () => this.bufferSize };
+  }
+
+  onMessage(message) {
+    if (message.type === 'weights') {
+      this.applySnapshot(message);
+    } else if (message.type === 'reply') {
+      const request = this.requests.get(message.id);
+      if (!request) return;
+      this.requests.delete(message.id);
+      if (message.error) {
+        request.reject(new Error(message.error));
+      } else {
+        request.resolve(message.result);
+      }
+    }
+  }
+
+  request(type, payload = {}) {
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, { resolve, reject });
+      this.worker.postMessage({ type, id, ...payload });
+    });
+  }
+
+  applySnapshot(snapshot) {
+    if (!snapshot) return;
+    this.local.importWeights(snapshot.weights, { target: false });
+    this.local.importNormalizer(snapshot.normalizer);
+    this.local.schedulePosition = { ...snapshot.schedule };
+    this.stepCount = snapshot.stepCount;
+    this.lastLoss = snapshot.lastLoss;
+    this.freshLoss = snapshot.lastLoss !== null;
+    this.bufferSize = snapshot.bufferSize;
+    this.replay = snapshot.replay;
+  }
+
+  async chooseAction(state) {
+    return this.local.chooseAction(state);
+  }
+
+  freeze(frozen = true) {
+    super.freeze(frozen);
+    this.local.freeze(frozen);
+  }
+
+  async chooseActions(states, ids) {
+    return this.local.chooseActions(states, ids);
+  }
+
+  getQValues(state) {
+    return this.local.getQValues(state);
+  }
+
+  actionValues(states, id) {
+    return this.local.actionValues(states, id);
+  }
+
+  hudLines(id, state) {
+    return this.local.hudLines(id, state);
+  }
+
+  stats() {
+    return { epsilon: this.local.explorationValue, maxQ: this.local.lastMaxQ, bufferSize: this.bufferSize };
+  }
+
+  replayUsage() {
+    return this.replay;
+  }
+
+  summary() {
+    return `loss ${formatLoss(this.lastLoss)}, ${this.local.explorationLabel()}`;
+  }
+
+  remember(state, action, reward, nextState, done, stream = 0) {
+    this.pending.push({ state, action, reward, nextState, done, stream });
+  }
+
+  resetEpisode(birdCount = 1) {
+    super.resetEpisode(birdCount);
+    this.local.resetEpisode(birdCount);
+    this.pending.push({ resetEpisode: true });
+  }
+
+  // Episode-based schedules advance in the learner
+  async endEpisode(birds) {
+    if (!this.frozen) this.pending.push({ endEpisode: true });
+  }
+
+  // Ships this frame's transitions to the learner, which trains
+  // once per frame like DQNAgent.train(). Usually non-blocking, but
+  // every weightSyncInterval frames it waits for the learner's
+  // weights, so they always arrive at the same step whatever the
+  // sim speed. Returns the learner's loss when a new weight
+  // snapshot arrived since last call.
+  async train() {
+    if (this.pending.length > 0) {
+      const transitions = this.pending;
+      this.pending = [];
+      this.sentSteps++;
+      if (this.sentSteps % this.config.agent.weightSyncInterval === 0) {
+        this.applySnapshot(await this.request('transitions', { transitions }));
+      } else {
+        this.worker.postMessage({ type: 'transitions', transitions });
+      }
+    }
+    if (!this.freshLoss) return null;
+    this.freshLoss = false;
+    return this.lastLoss;
+  }
+
+  // Ships pending transitions and episode markers without a train
+  // step, so saving or loading never adds a step a run without the
+  // worker wouldn't have
+  flush() {
+    if (this.pending.length === 0) return;
+    this.worker.postMessage({ type: 'transitions', transitions: this.pending, train: false });
+    this.pending = [];
+  }
+
+  setSeed(seed) {
+    this.local.setSeed(seed);
+  }
+
+  applyConfig() {
+    this.local.applyConfig();
+    this.worker.postMessage({ type: 'config', config: this.config });
+  }
+
+  async exportBrain(generation) {
+    this.flush();
+    this.applySnapshot(await this.request('sync'));
+    return this.local.exportBrain(generation);
+  }
+
+  async importBrain(bundle) {
+    await this.ready;
+    const result = await this.local.importBrain(bundle);
+    await this.pushLocalBrain();
+    return result;
+  }
+
+  // The buffer lives in the learner; pending transitions go first
+  async exportReplay() {
+    this.flush();
+    return this.request('exportReplay');
+  }
+
+  // The reply carries the learner's snapshot, like 'sync'
+  async importReplay(snapshot) {
+    await this.ready;
+    this.flush();
+    const { restored, ...learner } = await this.request('importReplay', { snapshot });
+    this.applySnapshot(learner);
+    return restored;
+  }
+
+  async loadLegacyBrain() {
+    await this.ready;
+    const result = await this.local.loadLegacyBrain();
+    if (result.success) await this.pushLocalBrain();
+    return result;
+  }
+
+  // Pretrains the inference copy on this thread (demonstrations
+  // are replayed here), then hands the result to the learner
+  async pretrain(demos, options) {
+    await this.ready;
+    const loss = await this.local.pretrain(demos, options);
+    await this.pushLocalBrain();
+    return loss;
+  }
+
+  // Brain loaded into the inference copy; the learner adopts it
+  pushLocalBrain() {
+    return this.request('load', {
+      config: this.config,
+      weights: this.local.exportWeights(),
+      normalizer: this.local.exportNormalizer(),
+      schedule: this.local.schedulePosition
+    });
+  }
+}
@@ -0,0 +1,121 @@
+/* ============================================================
+ * BRAIN STORE — INDEXEDDB CHECKPOINT SLOTS
+ * ------------------------------------------------------------
+ * Named slots of brain bundles (see rl/brain.js), one set per
+ * agent type. Two slots are managed automatically:
+ *   latest — written after every episode
+ *   best   — only replaced when an episode beats its score
+ * so a terrible episode can no longer destroy a good brain;
+ * loading "best" rolls back to it.
+ * A second store keeps one replay buffer snapshot per agent type
+ * (see ReplayBuffer.snapshot), so experience survives reloads.
+ * ============================================================ */
+
+const DB_NAME = 'flappy-brains';
+const DB_VERSION = 2;
+const STORE = 'slots';
+const REPLAY_STORE = 'replay'; // Desde a versão 2
+
+export const LATEST_SLOT = 'latest';
+export const BEST_SLOT = 'best';
+
+export class BrainStore {
+  constructor(indexedDB = globalThis.indexedDB) {
+    this.indexedDB = indexedDB;
+    this.db = null;
+  }
+
+  get available() {
+    return !!this.indexedDB;
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: 'key' });
+          if (!db.objectStoreNames.contains(REPLAY_STORE)) db.createObjectStore(REPLAY_STORE, { keyPath: 'agentType' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  async run(mode, action, storeName = STORE) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = action(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Slot summaries (no payload) for one agent type, newest first
+  async list(agentType) {
+    const records = await this.run('readonly', store => store.getAll());
+    return records
+      .filter(record => record.agentType === agentType)
+      .map(({ name, agentType, generation, savedAt, stats }) => ({ name, agentType, generation, savedAt, stats }))
+      .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  async save(name, bundle, stats = {}) {
+    const record = {
+      key: slotKey(bundle.agentType, name),
+      name,
+      agentType: bundle.agentType,
+      generation: bundle.generation,
+      savedAt: bundle.savedAt,
+      stats,
+      bundle
+    };
+    await this.run('readwrite', store => store.put(record));
+    return record;
+  }
+
+  async get(agentType, name) {
+    return (await this.run('readonly', store => store.get(slotKey(agentType, name)))) || null;
+  }
+
+  async load(agentType, name) {
+    const record = await this.get(agentType, name);
+    return record ? record.bundle : null;
+  }
+
+  async remove(agentType, name) {
+    await this.run('readwrite', store => store.delete(slotKey(agentType, name)));
+  }
+
+  // After every episode: refresh "latest", and "best" when the score beats it.
+  // Returns true when "best" was replaced.
+  async autosave(bundle, score) {
+    await this.save(LATEST_SLOT, bundle, { score });
+    const best = await this.get(bundle.agentType, BEST_SLOT);
+    if (best && best.stats.score >= score) return false;
+    await this.save(BEST_SLOT, bundle, { score });
+    return true;
+  }
+
+  /* ---- REPLAY BUFFER ---- */
+
+  async saveReplay(agentType, snapshot, generation = null) {
+    const record = { agentType, generation, savedAt: new Date().toISOString(), snapshot };
+    await this.run('readwrite', store => store.put(record), REPLAY_STORE);
+    return record;
+  }
+
+  async loadReplay(agentType) {
+    const record = await this.run('readonly', store => store.get(agentType), REPLAY_STORE);
+    return record ? record.snapshot : null;
+  }
+}
+
+function slotKey(agentType, name) {
+  return `${agentType}/${name}`;
+}
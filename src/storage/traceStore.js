@@ -0,0 +1,75 @@
+/* ============================================================
+ * TRACE STORE — BEST RUNS
+ * ------------------------------------------------------------
+ * Keeps the best N episode traces (see env/trace.js) in
+ * localStorage, ranked by score, then frames survived. Traces
+ * are small (one character per frame plus the config), so a
+ * handful fit easily. Human demonstrations (rl/demos.js) live
+ * in a second store under DEMO_STORAGE_KEY.
+ * ============================================================ */
+
+const STORAGE_KEY = 'flappy_traces';
+export const DEMO_STORAGE_KEY = 'flappy_demos';
+
+export class TraceStore {
+  // storage: a localStorage-like object, or null for in-memory only
+  constructor({ storage = globalThis.localStorage ?? null, key = STORAGE_KEY, keep = 10 } = {}) {
+    this.storage = storage;
+    this.key = key;
+    this.keep = keep;
+    this.traces = [];
+    this.listeners = new Set();
+    this.load();
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Adds the trace if it ranks among the best `keep`; returns true if kept
+  add(trace, keep = this.keep) {
+    this.traces.push(trace);
+    this.traces.sort(compareTraces);
+    const kept = this.traces.indexOf(trace) < keep;
+    this.traces.length = Math.min(this.traces.length, keep);
+    if (kept) this.save();
+    return kept;
+  }
+
+  get(id) {
+    return this.traces.find(trace => trace.id === id) || null;
+  }
+
+  remove(id) {
+    this.traces = this.traces.filter(trace => trace.id !== id);
+    this.save();
+  }
+
+  save() {
+    if (this.storage) {
+      try {
+        this.storage.setItem(this.key, JSON.stringify(this.traces));
+      } catch (e) {
+        console.warn('Trace storage full, keeping traces in memory only:', e.message);
+      }
+    }
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  // Corrupted data is ignored: the store starts empty
+  load() {
+    if (!this.storage) return;
+    let traces = null;
+    try {
+      traces = JSON.parse(this.storage.getItem(this.key));
+    } catch (e) {
+      console.warn(`Ignoring unreadable stored traces (${this.key}):`, e.message);
+    }
+    if (Array.isArray(traces)) this.traces = traces.filter(trace => trace && typeof trace === 'object').sort(compareTraces);
+  }
+}
+
+function compareTraces(a, b) {
+  return b.score - a.score || b.frames - a.frames;
+}
@@ -0,0 +1,112 @@
+/* ============================================================
+ * BRAIN PANEL
+ * ------------------------------------------------------------
+ * Checkpoint slots of the current agent type (IndexedDB, see
+ * storage/brainStore.js): list with load/delete, save under a
+ * name, rollback to "best", and brain file download/upload.
+ * The scene does the actual work through the callbacks; errors
+ * (e.g. an incompatible brain file) are shown in the status.
+ * ============================================================ */
+
+import { BEST_SLOT } from '../storage/brainStore.js';
+import { button, filePicker } from './dom.js';
+
+export function createBrainPanel(root, store, agentType, { onSave, onLoad, onDownload, onUpload } = {}) {
+  const panel = document.createElement('div');
+  panel.id = 'brain-panel';
+  panel.className = 'side-panel brain-panel collapsed';
+
+  const toggle = document.createElement('button');
+  toggle.className = 'panel-toggle';
+  toggle.textContent = 'Brains';
+  toggle.addEventListener('click', () => {
+    panel.classList.toggle('collapsed');
+    refresh();
+  });
+
+  const list = document.createElement('div');
+  list.className = 'slot-list';
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.placeholder = 'slot name';
+
+  const status = document.createElement('div');
+  status.className = 'panel-status';
+
+  const actions = document.createElement('div');
+  actions.className = 'panel-actions';
+  actions.append(
+    nameInput,
+    button('Save slot', () => run(async () => {
+      const name = nameInput.value.trim();
+      if (!name) throw new Error('Type a slot name first');
+      await onSave(name);
+      nameInput.value = '';
+      return `Saved slot "${name}"`;
+    })),
+    button('Rollback to best', () => run(async () => {
+      await onLoad(BEST_SLOT);
+      return 'Rolled back to "best"';
+    })),
+    button('Download', () => run(async () => {
+      await onDownload();
+      return 'Brain downloaded';
+    })),
+    filePicker('Upload', file => run(async () => {
+      await onUpload(file);
+      return `Loaded ${file.name}`;
+    }))
+  );
+
+  panel.append(toggle, actions, list, status);
+  root.appendChild(panel);
+
+  async function run(action) {
+    try {
+      setStatus(await action());
+      refresh();
+    } catch (e) {
+      console.error(e);
+      setStatus(e.message);
+    }
+  }
+
+  async function refresh() {
+    if (panel.classList.contains('collapsed')) return;
+    if (!store.available) {
+      list.textContent = 'IndexedDB unavailable: slots disabled';
+      return;
+    }
+    const slots = await store.list(agentType);
+    list.innerHTML = '';
+    if (slots.length === 0) list.textContent = 'No saved brains yet';
+    slots.forEach(slot => {
+      const row = document.createElement('div');
+      row.className = 'slot-row';
+      const info = document.createElement('span');
+      const score = slot.stats.score !== undefined ? `, score ${slot.stats.score}` : '';
+      info.textContent = `${slot.name} (gen ${slot.generation}${score})`;
+      info.title = slot.savedAt;
+      row.append(
+        info,
+        button('Load', () => run(async () => {
+          await onLoad(slot.name);
+          return `Loaded slot "${slot.name}"`;
+        })),
+        button('Delete', () => run(async () => {
+          if (!confirm(`Delete slot "${slot.name}"?`)) return '';
+          await store.remove(agentType, slot.name);
+          return `Deleted slot "${slot.name}"`;
+        }))
+      );
+      list.appendChild(row);
+    });
+  }
+
+  function setStatus(text) {
+    status.textContent = text;
+  }
+
+  return { element: panel, refresh };
+}
@@ -0,0 +1,152 @@
+/* ============================================================
+ * CONFIG PANEL
+ * ------------------------------------------------------------
+ * DOM side panel that edits the run config in place. One input
+ * per leaf of the config object; "Apply" merges the form back
+ * and calls onApply so the scene/agent can react. Presets can
+ * be loaded from and saved to JSON files.
+ * ============================================================ */
+
+import {
+  CONFIG_CHOICES, CONFIG_REBUILD_KEYS, DEFAULT_CONFIG,
+  getConfigValue, mergeConfig, readPresetFile
+} from '../config.js';
+import { downloadJSON } from '../util/download.js';
+import { button, filePicker } from './dom.js';
+
+export function createConfigPanel(root, config, { onApply } = {}) {
+  const panel = document.createElement('div');
+  panel.id = 'config-panel';
+  panel.className = 'side-panel collapsed';
+
+  const toggle = document.createElement('button');
+  toggle.className = 'panel-toggle';
+  toggle.textContent = 'Config';
+  toggle.addEventListener('click', () => {
+    panel.classList.toggle('collapsed');
+    if (!panel.classList.contains('collapsed')) refresh();
+  });
+
+  const form = document.createElement('form');
+  const inputs = new Map();
+
+  Object.keys(DEFAULT_CONFIG).forEach(section => {
+    if (isLeaf(DEFAULT_CONFIG[section])) {
+      form.appendChild(createField(section, section));
+      return;
+    }
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = section;
+    fieldset.appendChild(legend);
+    Object.keys(DEFAULT_CONFIG[section]).forEach(key => {
+      fieldset.appendChild(createField(`${section}.${key}`, key));
+    });
+    form.appendChild(fieldset);
+  });
+
+  const status = document.createElement('div');
+  status.className = 'panel-status';
+
+  const actions = document.createElement('div');
+  actions.className = 'panel-actions';
+  actions.append(
+    button('Apply', () => apply(readForm())),
+    button('Defaults', () => apply(DEFAULT_CONFIG)),
+    button('Save preset', () => downloadJSON('flappy-preset.json', config)),
+    filePicker('Load preset', async file => {
+      try {
+        apply(await readPresetFile(file));
+      } catch (e) {
+        setStatus(e.message);
+      }
+    })
+  );
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    apply(readForm());
+  });
+
+  panel.append(toggle, form, actions, status);
+  root.appendChild(panel);
+
+  function createField(path, labelText) {
+    const label = document.createElement('label');
+    const name = document.createElement('span');
+    name.textContent = labelText + (CONFIG_REBUILD_KEYS.includes(path) ? ' *' : '');
+    if (CONFIG_REBUILD_KEYS.includes(path)) {
+      name.title = 'Only applies to a fresh brain or after a reload';
+    }
+
+    const defaultValue = getConfigValue(DEFAULT_CONFIG, path);
+    let input;
+    if (CONFIG_CHOICES[path]) {
+      input = document.createElement('select');
+      CONFIG_CHOICES[path].forEach(choice => {
+        const option = document.createElement('option');
+        option.value = choice;
+        option.textContent = choice;
+        input.appendChild(option);
+      });
+    } else {
+      input = document.createElement('input');
+      if (typeof defaultValue === 'boolean') {
+        input.type = 'checkbox';
+      } else if (typeof defaultValue === 'number') {
+        input.type = 'number';
+        input.step = 'any';
+      } else {
+        input.type = 'text';
+        input.placeholder = 'random';
+      }
+    }
+
+    inputs.set(path, input);
+    label.append(name, input);
+    return label;
+  }
+
+  function readForm() {
+    const override = {};
+    inputs.forEach((input, path) => {
+      const value = input.type === 'checkbox' ? input.checked : input.value;
+      const parts = path.split('.');
+      let node = override;
+      parts.slice(0, -1).forEach(part => {
+        node[part] = node[part] || {};
+        node = node[part];
+      });
+      node[parts[parts.length - 1]] = value;
+    });
+    return override;
+  }
+
+  function refresh() {
+    inputs.forEach((input, path) => {
+      const value = getConfigValue(config, path);
+      if (input.type === 'checkbox') {
+        input.checked = !!value;
+      } else {
+        input.value = value ?? '';
+      }
+    });
+  }
+
+  function apply(source) {
+    mergeConfig(config, source);
+    if (onApply) onApply(config);
+    refresh();
+    setStatus('Applied');
+  }
+
+  function setStatus(text) {
+    status.textContent = text;
+  }
+
+  return { element: panel, refresh };
+}
+
+function isLeaf(value) {
+  return value === null || typeof value !== 'object';
+}
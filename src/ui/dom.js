@@ -0,0 +1,27 @@
+/* ============================================================
+ * DOM HELPERS
+ * ------------------------------------------------------------
+ * Small element builders shared by the side panels.
+ * ============================================================ */
+
+export function button(text, onClick) {
+  const el = document.createElement('button');
+  el.type = 'button';
+  el.textContent = text;
+  el.addEventListener('click', onClick);
+  return el;
+}
+
+export function filePicker(text, onFile) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+  input.hidden = true;
+  input.addEventListener('change', () => {
+    if (input.files[0]) onFile(input.files[0]);
+    input.value = '';
+  });
+  const wrapper = document.createElement('span');
+  wrapper.append(button(text, () => input.click()), input);
+  return wrapper;
+}
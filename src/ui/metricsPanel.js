@@ -0,0 +1,200 @@
+/* ============================================================
+ * METRICS PANEL
+ * ------------------------------------------------------------
+ * Collapsible DOM panel on the left of #game-container with
+ * live canvas line charts of a MetricsRecorder: per-episode
+ * score, frames, reward by component, deaths by cause, loss,
+ * max-Q, epsilon and buffer size, plus per-step loss. Exports
+ * CSV / JSON.
+ * ============================================================ */
+
+import { downloadJSON, downloadText } from '../util/download.js';
+import { button } from './dom.js';
+import { DEATH_CAUSES } from '../env/flappy.js';
+
+const CHART_WIDTH = 280;
+const CHART_HEIGHT = 90;
+const STEP_REDRAW = 30; // Redesenha o gráfico por passo a cada N passos
+const COLORS = ['#4fc3f7', '#ffb74d', '#81c784', '#e57373', '#ba68c8', '#fff176', '#a1887f'];
+
+export function createMetricsPanel(root, recorder) {
+  const panel = document.createElement('div');
+  panel.id = 'metrics-panel';
+  panel.className = 'side-panel metrics-panel collapsed';
+
+  const toggle = document.createElement('button');
+  toggle.className = 'panel-toggle';
+  toggle.textContent = 'Metrics';
+  toggle.addEventListener('click', () => {
+    panel.classList.toggle('collapsed');
+    redraw();
+  });
+
+  const charts = document.createElement('div');
+
+  const actions = document.createElement('div');
+  actions.className = 'panel-actions';
+  actions.append(
+    button('CSV', () => downloadText('flappy-metrics.csv', recorder.toCSV(), 'text/csv')),
+    button('JSON', () => downloadJSON('flappy-metrics.json', recorder.toJSON())),
+    button('Clear', () => {
+      if (confirm('Clear all recorded metrics?')) recorder.clear();
+    })
+  );
+
+  panel.append(toggle, actions, charts);
+  root.appendChild(panel);
+
+  // Cada gráfico: título + séries extraídas das linhas do recorder
+  const episodeCharts = [
+    { title: 'Score', series: () => withAverage(pluck(recorder.episodes, 'score')) },
+    { title: 'Frames survived', series: () => withAverage(pluck(recorder.episodes, 'frames')) },
+    {
+      title: 'Reward per bird (by component)',
+      series: () => [
+        { label: 'total', values: pluck(recorder.episodes, 'reward') },
+        ...recorder.rewardComponents().map(name => ({
+          label: name,
+          values: recorder.episodes.map(episode => episode.rewards[name] ?? 0)
+        }))
+      ]
+    },
+    {
+      title: 'Deaths by cause',
+      series: () => DEATH_CAUSES.map(cause => ({
+        label: cause,
+        values: recorder.episodes.map(episode => episode.deaths?.[cause] ?? null)
+      }))
+    },
+    { title: 'Mean loss', series: () => [{ label: 'loss', values: pluck(recorder.episodes, 'meanLoss') }] },
+    { title: 'Mean max-Q', series: () => [{ label: 'max-Q', values: pluck(recorder.episodes, 'meanMaxQ') }] },
+    { title: 'Epsilon', series: () => [{ label: 'epsilon', values: pluck(recorder.episodes, 'epsilon') }] },
+    { title: 'Buffer size', series: () => [{ label: 'size', values: pluck(recorder.episodes, 'bufferSize') }] }
+  ].map(createChart);
+
+  const stepChart = createChart({
+    title: 'Per step (recent)',
+    series: () => [
+      { label: 'loss', values: pluck(recorder.steps, 'loss') },
+      { label: 'reward', values: pluck(recorder.steps, 'reward') }
+    ]
+  });
+
+  let stepsSinceDraw = 0;
+  recorder.onChange(kind => {
+    if (kind === 'step') {
+      if (++stepsSinceDraw < STEP_REDRAW) return;
+      stepsSinceDraw = 0;
+      if (!panel.classList.contains('collapsed')) drawChart(stepChart);
+      return;
+    }
+    redraw();
+  });
+
+  function createChart(chart) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'metrics-chart';
+    const title = document.createElement('div');
+    title.textContent = chart.title;
+    const canvas = document.createElement('canvas');
+    canvas.width = CHART_WIDTH;
+    canvas.height = CHART_HEIGHT;
+    const legend = document.createElement('div');
+    legend.className = 'metrics-legend';
+    wrapper.append(title, canvas, legend);
+    charts.appendChild(wrapper);
+    return { ...chart, canvas, legend };
+  }
+
+  function redraw() {
+    if (panel.classList.contains('collapsed')) return;
+    episodeCharts.forEach(drawChart);
+    drawChart(stepChart);
+  }
+
+  redraw();
+  return { element: panel, redraw };
+}
+
+/* ------------------------------------------------------------
+ * DRAWING
+ * ------------------------------------------------------------ */
+function drawChart(chart) {
+  const series = chart.series().filter(s => s.values.some(Number.isFinite));
+  const ctx = chart.canvas.getContext('2d');
+  const { width, height } = chart.canvas;
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
+  ctx.fillRect(0, 0, width, height);
+
+  const finite = series.flatMap(s => s.values.filter(Number.isFinite));
+  if (finite.length === 0) {
+    chart.legend.textContent = 'no data';
+    return;
+  }
+  let min = Math.min(...finite);
+  let max = Math.max(...finite);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const pad = 4;
+  const y = value => height - pad - ((value - min) / (max - min)) * (height - 2 * pad);
+
+  series.forEach((s, i) => {
+    ctx.strokeStyle = s.color || COLORS[i % COLORS.length];
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    let started = false;
+    s.values.forEach((value, k) => {
+      if (!Number.isFinite(value)) return;
+      const x = s.values.length > 1 ? (k / (s.values.length - 1)) * width : width / 2;
+      if (started) ctx.lineTo(x, y(value));
+      else ctx.moveTo(x, y(value));
+      started = true;
+    });
+    ctx.stroke();
+  });
+
+  chart.legend.innerHTML = '';
+  series.forEach((s, i) => {
+    const item = document.createElement('span');
+    item.style.color = s.color || COLORS[i % COLORS.length];
+    item.textContent = `${s.label}: ${format(lastFinite(s.values))}`;
+    chart.legend.appendChild(item);
+  });
+  const range = document.createElement('span');
+  range.textContent = `[${format(min)}, ${format(max)}]`;
+  chart.legend.appendChild(range);
+}
+
+/* ------------------------------------------------------------
+ * HELPERS
+ * ------------------------------------------------------------ */
+function pluck(rows, key) {
+  return rows.map(row => row[key] ?? null);
+}
+
+// Raw values plus a moving average over the last 20
+function withAverage(values, window = 20) {
+  const average = values.map((_, i) => {
+    const slice = values.slice(Math.max(0, i - window + 1), i + 1).filter(Number.isFinite);
+    return slice.length ? slice.reduce((a, b) => a + b, 0) / slice.length : null;
+  });
+  return [
+    { label: 'value', values, color: 'rgba(79, 195, 247, 0.5)' },
+    { label: `avg${window}`, values: average, color: '#ffb74d' }
+  ];
+}
+
+function lastFinite(values) {
+  for (let i = values.length - 1; i >= 0; i--) {
+    if (Number.isFinite(values[i])) return values[i];
+  }
+  return null;
+}
+
+function format(value) {
+  if (value === null) return '-';
+  return Math.abs(value) >= 100 ? value.toFixed(0) : value.toPrecision(3);
+}
@@ -0,0 +1,77 @@
+/* ============================================================
+ * TRACE PANEL
+ * ------------------------------------------------------------
+ * The best recorded runs (storage/traceStore.js), each with
+ * Watch (opens the replay viewer), Download and Delete, plus
+ * Upload to watch a trace file from someone else. The same
+ * panel lists human demonstrations in play mode, where Upload
+ * adds the file to the demonstrations instead.
+ * ============================================================ */
+
+import { downloadJSON } from '../util/download.js';
+import { describeTrace } from '../env/trace.js';
+import { button, filePicker } from './dom.js';
+
+export function createTracePanel(root, store, { onWatch, onUpload, title = 'Replays', empty = 'No recorded runs yet' } = {}) {
+  const panel = document.createElement('div');
+  panel.id = 'trace-panel';
+  panel.className = 'side-panel trace-panel collapsed';
+
+  const toggle = document.createElement('button');
+  toggle.className = 'panel-toggle';
+  toggle.textContent = title;
+  toggle.addEventListener('click', () => {
+    panel.classList.toggle('collapsed');
+    refresh();
+  });
+
+  const list = document.createElement('div');
+  list.className = 'slot-list';
+
+  const status = document.createElement('div');
+  status.className = 'panel-status';
+
+  const actions = document.createElement('div');
+  actions.className = 'panel-actions';
+  actions.append(
+    filePicker('Upload', file => run(async () => (await onUpload(file)) || `Watching ${file.name}`))
+  );
+
+  panel.append(toggle, actions, list, status);
+  root.appendChild(panel);
+  store.onChange(() => refresh());
+
+  async function run(action) {
+    try {
+      status.textContent = await action();
+    } catch (e) {
+      console.error(e);
+      status.textContent = e.message;
+    }
+  }
+
+  function refresh() {
+    if (panel.classList.contains('collapsed')) return;
+    list.innerHTML = '';
+    if (store.traces.length === 0) list.textContent = empty;
+    store.traces.forEach(trace => {
+      const row = document.createElement('div');
+      row.className = 'slot-row';
+      const info = document.createElement('span');
+      info.textContent = describeTrace(trace);
+      info.title = `${trace.recordedAt}, seed ${trace.seed}`;
+      row.append(
+        info,
+        button('Watch', () => run(async () => {
+          await onWatch(trace);
+          return `Watching ${describeTrace(trace)}`;
+        })),
+        button('Download', () => downloadJSON(`flappy-trace-score${trace.score}-${trace.id}.json`, trace)),
+        button('Delete', () => store.remove(trace.id))
+      );
+      list.appendChild(row);
+    });
+  }
+
+  return { element: panel, refresh };
+}
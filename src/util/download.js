@@ -0,0 +1,24 @@
+/* ============================================================
+ * BROWSER DOWNLOADS
+ * ------------------------------------------------------------
+ * Saves generated data as a file via a temporary <a download>.
+ * ============================================================ */
+
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadText(filename, text, type = 'text/plain') {
+  downloadBlob(filename, new Blob([text], { type }));
+}
+
+export function downloadJSON(filename, data) {
+  downloadText(filename, JSON.stringify(data, null, 2), 'application/json');
+}
@@ -0,0 +1,52 @@
+/* ============================================================
+ * SEEDABLE PRNG
+ * ------------------------------------------------------------
+ * Mulberry32: tiny, fast, good enough for games and sampling.
+ * Every random draw in a run (pipes, exploration, minibatches)
+ * goes through one of these so runs can be reproduced.
+ * ============================================================ */
+
+/* ------------------------------------------------------------
+ * SEEDS
+ * ------------------------------------------------------------ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Aceita número ou string; strings não numéricas viram hash
+export function parseSeed(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  if (Number.isFinite(n)) return Math.floor(n) >>> 0;
+  return hashString(String(value));
+}
+
+// Sub-seed independente por fluxo (ex: 'pipes', 'agent') ou episódio
+export function deriveSeed(seed, key) {
+  return hashString(`${seed >>> 0}:${key}`);
+}
+
+function hashString(str) {
+  // FNV-1a 32 bits
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/* ------------------------------------------------------------
+ * GENERATOR
+ * ------------------------------------------------------------ */
+// Returns a Math.random()-compatible function: () => [0, 1)
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createConfig } from '../src/config.js';
+import { ACTION_FLAP, ACTION_IDLE, FlappyEnv } from '../src/env/flappy.js';
+import { TraceRecorder } from '../src/env/trace.js';
+import { DemoBuffer } from '../src/rl/demos.js';
+
+// A short human-like run in a world built from `overrides`
+function recordTrace(overrides) {
+  const env = new FlappyEnv({ config: createConfig({ seed: 11 }, overrides) });
+  env.reset(11);
+  const recorder = new TraceRecorder();
+  recorder.beginEpisode(env, { agentType: 'human' });
+  while (!env.done) {
+    const action = env.frame % 12 === 0 ? ACTION_FLAP : ACTION_IDLE;
+    recorder.recordStep(env, [action]);
+    env.stepRepeat([action], 1);
+  }
+  return recorder.endEpisode(env);
+}
+
+test('replays a demonstration recorded with the same observation', () => {
+  const config = createConfig({ seed: 11 });
+  const demos = new DemoBuffer(config);
+  const added = demos.addTrace(recordTrace());
+  assert.ok(added > 0);
+  demos.transitions.forEach(t => assert.equal(t.state.length, 7));
+});
+
+test('skips a demonstration whose variants change the observation size', t => {
+  const warn = t.mock.method(console, 'warn', () => { });
+  const demos = new DemoBuffer(createConfig({ seed: 11 }));
+  const trace = recordTrace({ variants: { wind: true } });
+
+  assert.equal(demos.addTrace(trace), 0);
+  assert.equal(demos.size(), 0);
+  assert.equal(warn.mock.calls.length, 1);
+  assert.match(warn.mock.calls[0].arguments[0], /skipped/);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createConfig } from '../src/config.js';
+import { ACTION_FLAP, ACTION_IDLE, FlappyEnv } from '../src/env/flappy.js';
+import { createReplayBuffer, replayFrameCapacity } from '../src/rl/replay.js';
+
+// Pixel transitions of a few scripted episodes, as the DQN stores them
+function pixelTransitions(episodes) {
+  const env = new FlappyEnv({ config: createConfig({ seed: 5, observation: { mode: 'pixels' } }) });
+  const transitions = [];
+  for (let episode = 0; episode < episodes; episode++) {
+    let state = env.reset(5 + episode);
+    while (!env.done) {
+      const action = env.frame % (10 + episode) === 0 ? ACTION_FLAP : ACTION_IDLE;
+      const { state: nextState, reward, done } = env.step(action);
+      transitions.push({ state, action, reward, nextState, done });
+      state = nextState;
+    }
+  }
+  return transitions;
+}
+
+function pixelBuffer(replay) {
+  const config = createConfig({ replay });
+  const { frameStack } = config.observation;
+  const layout = { frameStack, frameCapacity: replayFrameCapacity(config.replay.size, frameStack) };
+  return createReplayBuffer(config.replay, Math.random, layout);
+}
+
+function assertTransition(actual, expected) {
+  assert.deepEqual(actual.state, expected.state);
+  assert.deepEqual(actual.nextState, expected.nextState);
+  assert.equal(actual.action, expected.action);
+  assert.equal(actual.reward, expected.reward);
+  assert.equal(actual.done, expected.done);
+}
+
+const transitions = pixelTransitions(3);
+
+test('stores each pixel frame once and rebuilds the stacked states', () => {
+  const size = 100;
+  const buffer = pixelBuffer({ size });
+  transitions.forEach(t => buffer.add(t.state, t.action, t.reward, t.nextState, t.done));
+
+  const kept = transitions.slice(-size);
+  assert.equal(buffer.size(), size);
+  buffer.transitions().forEach((t, i) => assertTransition(t, kept[i]));
+
+  // Estados inteiros ocupariam 2 * size * stateSize bytes
+  const stateSize = transitions[0].state.length;
+  assert.ok(buffer.byteLength() < (2 * size * stateSize) / 3, `${buffer.byteLength()} bytes`);
+});
+
+test('restores a pixel snapshot with its frames shared', () => {
+  const source = pixelBuffer({ size: 80, sampling: 'per' });
+  transitions.forEach(t => source.add(t.state, t.action, t.reward, t.nextState, t.done));
+  const snapshot = source.snapshot();
+  assert.ok(snapshot.frames.length < snapshot.count * transitions[0].state.length / 2);
+
+  const target = pixelBuffer({ size: 50, sampling: 'per' });
+  assert.equal(target.restore(snapshot), 50);
+  const kept = transitions.slice(-50);
+  target.transitions().forEach((t, i) => assertTransition(t, kept[i]));
+
+  const { batch, weights } = target.sample(16);
+  assert.equal(batch.length, 16);
+  weights.forEach(w => assert.ok(w > 0 && w <= 1));
+});